@@ -1,27 +1,469 @@
-import { mkdirSync, rmdirSync, existsSync, createWriteStream } from "node:fs";
-import { mkdir, rename } from "node:fs/promises";
-import { join } from "node:path";
+import { mkdirSync, existsSync, createWriteStream } from "node:fs";
+import { mkdir, rm, stat, writeFile } from "node:fs/promises";
+import { basename, extname, join } from "node:path";
 import { fileTypeFromBuffer } from "file-type";
 
-import { log, generateRandomString, getBestBitrate, getBestFramerate, getBestQuality, getVideoMetadata, killStream, startStream, getClientIP } from "./utils/functions.js";
-import { Headers, supportedFileMimes } from "./utils/utilities.js";
+import { log, convertSubtitles, generatePreviews, generateRandomString, getBearerToken, getExternalSubtitlesPath, getBestBitrate, getBestFramerate, getBestQuality, getRenditions, scaleBitrate, getTracks, getVariantNames, getVideoMetadata, getPlaybackPosition, getPlaybackState, getStreamInfo, killStream, getOutputDirectory, hashFile, cleanupCache, restartStream, getLoad, scheduleStream, scheduleTranscode, suspendStream, restoreStreams, getQueueInfo, addToQueue, advanceQueue, getClientIP, sanitizeVideo, getDirectorySize, normalizeIP } from "./utils/functions.js";
+import { Headers, corsOrigins, previewFiles, segmentContentTypes, supportedFileMimes, videoRejections } from "./utils/utilities.js";
 import { RegexCheck } from "./utils/security.js";
+import { BanStore, StreamStore, addAuditEntry, getAuditLog, getChatHistory, getChatMessage, getLastMessageId, saveChatMessage, trimChatHistory } from "./utils/database.js";
+import { defaultProfile, getProfile, profiles } from "./utils/profiles.js";
+import { createRateLimiter } from "./utils/ratelimit.js";
+import { getCountry } from "./utils/geoip.js";
+import { metrics, renderMetrics } from "./utils/metrics.js";
+import { maxInviteTTL, maxInvites, canAccess, checkCredentials, createAccessSecret, createAccessToken, createInvite, createSession, getAccessToken, getInvites, getSession, getStreamUrls, hashPassword, isProtected, safeEqual, needsSignature, rewritePlaylist, signUri } from "./utils/access.js";
 
 // Get environment variables
 const PORT = Number(process.env.PORT) || 4949;
 const MAX_UPLOAD_SIZE = Number(process.env.MAX_UPLOAD_SIZE) ? Number(process.env.MAX_UPLOAD_SIZE) * 1024 * 1024 : 200 * 1024 * 1024; // 200 megabytes in bytes
 const MAX_KEEP_ALIVE = Number(process.env.MAX_KEEP_ALIVE) ? Number(process.env.MAX_KEEP_ALIVE) * 60 * 60 * 1000 : 1 * 60 * 60 * 1000; // 1 minute in milliseconds
+const STREAM_MODE = ["live", "vod"].includes(process.env.STREAM_MODE) ? process.env.STREAM_MODE : "live";
+const VOD_CACHE_TTL = Number(process.env.VOD_CACHE_TTL) ? Number(process.env.VOD_CACHE_TTL) * 60 * 1000 : 60 * 60 * 1000; // 1 hour in milliseconds
+const UPLOAD_TIMEOUT = Number(process.env.UPLOAD_TIMEOUT) ? Number(process.env.UPLOAD_TIMEOUT) * 60 * 1000 : 30 * 60 * 1000; // 30 minutes in milliseconds
+const MAX_UPLOADS_PER_HOUR = Number(process.env.MAX_UPLOADS_PER_HOUR) || 10;
+const MAX_STORAGE_PER_IP = Number(process.env.MAX_STORAGE_PER_IP) ? Number(process.env.MAX_STORAGE_PER_IP) * 1024 * 1024 : 1000 * 1024 * 1024; // 1000 megabytes in bytes
+const MAX_STREAMS_PER_IP = Number(process.env.MAX_STREAMS_PER_IP) || 3;
+const MAX_MESSAGES_PER_SECOND = Number(process.env.MAX_MESSAGES_PER_SECOND) || 5;
+const MAX_CHAT_MESSAGES_PER_MINUTE = Number(process.env.MAX_CHAT_MESSAGES_PER_MINUTE) || 20;
+const MAX_CHAT_MESSAGE_LENGTH = Number(process.env.MAX_CHAT_MESSAGE_LENGTH) || 500; // In characters
+const CHAT_HISTORY_SIZE = Number(process.env.CHAT_HISTORY_SIZE) || 50; // Messages kept for the viewers who join later
+const MAX_JOIN_ATTEMPTS_PER_MINUTE = Number(process.env.MAX_JOIN_ATTEMPTS_PER_MINUTE) || 5; // With a password or an invite code
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+const MAX_PROBE_BYTES = 4100; // First 4 KB of the file for type detection
+const MAX_SUBTITLES_SIZE = 5 * 1024 * 1024; // 5 megabytes in bytes
+const MAX_SUBTITLE_TRACKS = 20;
 
 // Path to the streams directory
 const streamsDirectory = join(__dirname, "streams");
 
-// Cleanup just in case
-if (existsSync(streamsDirectory)) rmdirSync(streamsDirectory, { recursive: true, force: true })
 if (!existsSync(streamsDirectory)) mkdirSync(streamsDirectory, { recursive: true, force: true });
 
-global.streams = new Map();
+global.streams = new StreamStore(); // Saved to the database so that streams survive restarts
 global.ffmpegProcesses = new Map();
-let websocketClients = new Map();
+global.uploads = new Map(); // Resumable uploads that haven't been completed yet
+global.transcodes = new Map(); // Ongoing VOD transcodes by cache key
+global.jobQueue = []; // Streams and transcodes waiting for an ffmpeg process to be available
+global.websocketClients = new Map();
+global.bans = new BanStore().load(); // IPs banned from the whole server by an admin
+
+// Limits the admin API can change while the server is running (in milliseconds, bytes or characters)
+const limits = {
+    maxUploadSize: MAX_UPLOAD_SIZE,
+    maxKeepAlive: MAX_KEEP_ALIVE,
+    uploadTimeout: UPLOAD_TIMEOUT,
+    vodCacheTTL: VOD_CACHE_TTL,
+    maxStoragePerIP: MAX_STORAGE_PER_IP,
+    maxStreamsPerIP: MAX_STREAMS_PER_IP,
+    maxChatMessageLength: MAX_CHAT_MESSAGE_LENGTH
+};
+
+// Limit how often a single IP can upload videos and send websocket messages
+const uploadLimiter = createRateLimiter(MAX_UPLOADS_PER_HOUR, 60 * 60 * 1000);
+const messageLimiter = createRateLimiter(MAX_MESSAGES_PER_SECOND, 1000);
+const chatLimiter = createRateLimiter(MAX_CHAT_MESSAGES_PER_MINUTE, 60 * 1000); // Chat messages and reactions, per stream and IP
+const joinLimiter = createRateLimiter(MAX_JOIN_ATTEMPTS_PER_MINUTE, 60 * 1000); // Joins of protected streams, per stream and IP
+
+// Bring back the streams from before the restart (and cleanup the rest)
+const restoredStreams = await restoreStreams(streamsDirectory);
+if (restoredStreams > 0) log.info(`Restored ${restoredStreams} stream(s)`);
+
+// Get Headers.segment for a request, only allowing its origin if it's one of CORS_ORIGINS
+function getSegmentHeaders(req) {
+    if (corsOrigins.includes("*")) return Headers.segment;
+
+    const origin = req.headers.get("origin");
+    const { "Access-Control-Allow-Origin": _, ...headers } = Headers.segment;
+    return { ...headers, "Vary": "Origin", ...(corsOrigins.includes(origin) ? { "Access-Control-Allow-Origin": origin } : {}) };
+}
+
+// Return a playlist or a segment from a stream's directory, with every URI
+// of its playlists (and thumbnails track) signed if the stream needs it
+async function serveSegment(req, stream, path) {
+    const segmentHeaders = getSegmentHeaders(req);
+    if (!await Bun.file(path).exists())
+        return new Response("Not Found", { headers: segmentHeaders, status: 404 });
+
+    metrics.segmentRequests.inc({ type: extname(path).slice(1) });
+    metrics.segmentBytes.inc({}, Bun.file(path).size);
+
+    const headers = {
+        ...segmentHeaders,
+        "Content-Type": segmentContentTypes[extname(path)],
+        "Cache-Control": "no-cache"
+    };
+
+    const requestPath = new URL(req.url).pathname;
+    if (needsSignature(stream) && extname(path) == ".m3u8")
+        return new Response(rewritePlaylist(stream, await Bun.file(path).text(), requestPath, getSession(stream, req), getAccessToken(stream, req)), { headers });
+    if (needsSignature(stream) && basename(path) == previewFiles.thumbnails)
+        return new Response((await Bun.file(path).text()).replaceAll(`${previewFiles.sprite}#`, `${signUri(stream, previewFiles.sprite, requestPath)}#`), { headers });
+
+    return new Response(Bun.file(path).stream(), { headers });
+}
+
+// Detect the type of an uploaded file from its first bytes
+async function getFileType(path) {
+    const probeBuffer = Buffer.from(await Bun.file(path).slice(0, MAX_PROBE_BYTES).arrayBuffer());
+    return await fileTypeFromBuffer(probeBuffer);
+}
+
+// Count the clients watching a stream
+function countViewers(id) {
+    let viewers = 0;
+    for (const [ws, client] of global.websocketClients) {
+        if (client.stream == id) viewers++;
+    }
+    return viewers;
+}
+
+// Get every viewer of a stream as they're shown to the other viewers
+function getRoster(id) {
+    const roster = [];
+    for (const [ws, client] of global.websocketClients) {
+        if (client.stream == id) roster.push({ username: client.username, host: client.host, country: client.country });
+    }
+    return roster;
+}
+
+// Remove what could mess with how a chat message is displayed: control characters (except new lines),
+// bidirectional overrides, and more than one empty line in a row
+function sanitizeMessage(message) {
+    return message
+        .normalize("NFC")
+        .replace(/\r\n?/g, "\n")
+        .replace(/[\u0000-\u0009\u000B-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/g, "")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+// Add a message to a stream's chat history, which only keeps the last CHAT_HISTORY_SIZE ones (and the pinned one)
+function addChatMessage(stream, fields) {
+    const message = { id: getLastMessageId(stream.id) + 1, ...fields, reactions: {}, timestamp: Date.now() };
+    saveChatMessage(stream.id, message);
+    trimChatHistory(stream.id, CHAT_HISTORY_SIZE, stream.pinnedId);
+    return message;
+}
+
+// Check if a username is already used in a stream (case insensitive so that nobody can impersonate someone else)
+function isUsernameTaken(id, username) {
+    for (const [ws, client] of global.websocketClients) {
+        if (client.stream == id && client.username.toLowerCase() == username.toLowerCase()) return true;
+    }
+    return false;
+}
+
+// Get the clients watching a stream under a username
+function getClientsByUsername(id, username) {
+    const clients = [];
+    for (const [ws, client] of global.websocketClients) {
+        if (client.stream == id && client.username == username) clients.push([ws, client]);
+    }
+    return clients;
+}
+
+// Get a new access token (for protected streams) and new signed URLs for a viewer of a stream
+function getAccessMessage(stream, session) {
+    return { success: true, type: "access", stream: stream.id, ...(isProtected(stream) ? createAccessToken(stream) : {}), urls: getStreamUrls(stream, session) };
+}
+
+// Send them to every viewer of a stream
+function sendAccess(stream) {
+    for (const [ws, client] of global.websocketClients) {
+        if (client.stream == stream.id) ws.send(JSON.stringify(getAccessMessage(stream, client.session)));
+    }
+}
+
+// Get the options a host can choose when uploading a video
+function getUploadOptions(req) {
+    const params = new URL(req.url).searchParams;
+    return {
+        public: params.get("public") == "true",
+        mode: ["live", "vod"].includes(params.get("mode")) ? params.get("mode") : STREAM_MODE,
+        profile: params.get("profile") || defaultProfile,
+        password: req.headers.get("stream-password") || null, // Not in the query string so that it doesn't end up in logs
+        inviteOnly: params.get("inviteOnly") == "true",
+        invites: Number(params.get("invites")) || 0 // Invite codes to create right away
+    };
+}
+
+// Check the room password and invite codes asked for when uploading and hash the password,
+// returns the response to send if they're invalid
+async function checkUploadAccess(options, headers) {
+    if (options.password !== null && !await RegexCheck.password(options.password))
+        return rejectUpload("invalid_password", Response.json({ success: false, cause: "The password has to be between 4 and 128 characters!" }, { status: 400, headers }));
+    if (!Number.isInteger(options.invites) || options.invites < 0 || options.invites > maxInvites)
+        return rejectUpload("invalid_invites", Response.json({ success: false, cause: `You can only create up to ${maxInvites} invite codes!` }, { status: 400, headers }));
+
+    if (options.password !== null) options.password = await hashPassword(options.password);
+    return null;
+}
+
+// Get how many streams (unfinished uploads included) an IP has and how much space their videos use
+function getOwnerUsage(ip) {
+    let streams = 0;
+    let bytes = 0;
+    let expiresAt = Infinity;
+
+    for (const [id, stream] of global.streams) {
+        if (stream.owner != ip) continue;
+
+        streams++;
+        bytes += (stream.size || 0) + (stream.queue || []).reduce((total, item) => total + (item.size || 0), 0);
+        expiresAt = Math.min(expiresAt, stream.keepAlive + limits.maxKeepAlive);
+    }
+    for (const [id, upload] of global.uploads) {
+        if (upload.owner != ip) continue;
+
+        streams++;
+        bytes += upload.length;
+        expiresAt = Math.min(expiresAt, upload.updatedAt + limits.uploadTimeout);
+    }
+
+    // Roughly when some space could be freed (once the stream or upload that's been inactive for the longest expires)
+    const retryAfter = expiresAt == Infinity ? 60 : Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+    return { streams, bytes, retryAfter };
+}
+
+// Refresh the gauges right before the metrics get scraped
+function updateGauges() {
+    const load = getLoad();
+
+    metrics.streams.reset();
+    for (const state of ["stopped", "started", "paused"]) metrics.streams.set({ state }, 0);
+    for (const [id, stream] of global.streams) metrics.streams.inc({ state: stream.state });
+
+    metrics.ffmpegProcesses.set({}, load.processes);
+    metrics.queuedJobs.set({}, load.queued);
+    metrics.websocketClients.set({}, global.websocketClients.size);
+
+    metrics.encodeSpeed.reset();
+    for (const [id, ffmpeg] of global.ffmpegProcesses) {
+        if (ffmpeg.progress) metrics.encodeSpeed.set({ job: "live", id }, ffmpeg.progress.speed);
+    }
+    for (const [key, ffmpeg] of global.transcodes) {
+        if (ffmpeg.progress) metrics.encodeSpeed.set({ job: "transcode", id: key }, ffmpeg.progress.speed);
+    }
+}
+
+// Count an upload that got rejected before returning the response explaining why
+function rejectUpload(reason, response) {
+    metrics.rejectedUploads.inc({ reason });
+    return response;
+}
+
+// Respond to a client that went over one of the limits
+function tooManyRequests(cause, retryAfter, headers) {
+    return Response.json({ success: false, cause, retryAfter }, {
+        status: 429,
+        headers: { ...headers, "Retry-After": `${retryAfter}` }
+    });
+}
+
+// Check if an IP can upload a video of the given size, returns the response to send if it can't
+function checkUploadLimits(ip, length, headers) {
+    if (isBanned(ip))
+        return rejectUpload("banned", Response.json({ success: false, cause: "You're banned from this server!" }, { status: 403, headers }));
+
+    const usage = getOwnerUsage(ip);
+
+    if (usage.streams >= limits.maxStreamsPerIP)
+        return rejectUpload("stream_quota", tooManyRequests("You already have too many streams!", usage.retryAfter, headers));
+    if (usage.bytes + length > limits.maxStoragePerIP)
+        return rejectUpload("storage_quota", tooManyRequests("Your streams are using too much storage!", usage.retryAfter, headers));
+
+    // Only counted once the upload is actually allowed
+    const retryAfter = uploadLimiter.take(ip);
+    if (retryAfter)
+        return rejectUpload("rate_limited", tooManyRequests("You're uploading too often!", retryAfter, headers));
+
+    return null;
+}
+
+// Check if an IP was banned by an admin
+function isBanned(ip) {
+    return global.bans.has(normalizeIP(ip));
+}
+
+// Ban an IP from the whole server and disconnect its clients, optionally stopping its streams and uploads too
+async function banIP(ip, reason = null, stopStreams = false) {
+    global.bans.set(ip, { ip, reason, created: Date.now() });
+
+    for (const [ws, client] of global.websocketClients) {
+        if (normalizeIP(client.ip) == ip) ws.close();
+    }
+    if (!stopStreams) return;
+
+    for (const [id, stream] of global.streams) {
+        if (normalizeIP(stream.owner) == ip) await killStream(id, stream.directory, "banned");
+    }
+    for (const [id, upload] of global.uploads) {
+        if (normalizeIP(upload.owner) != ip || upload.busy) continue;
+
+        global.uploads.delete(id);
+        await rm(upload.directory, { recursive: true, force: true });
+    }
+}
+
+// Check the admin token of a request, returns the response to send if it's missing or wrong
+async function checkAdmin(req) {
+    if (!ADMIN_TOKEN)
+        return Response.json({ success: false, cause: "The admin API is disabled!" }, { status: 403, headers: Headers.admin });
+
+    const token = await getBearerToken(req);
+    if (!token || !safeEqual(token, ADMIN_TOKEN)) {
+        log.warn("Invalid admin token", { ip: await getClientIP(req), route: new URL(req.url).pathname });
+        return Response.json({ success: false, cause: "Invalid admin token!" }, { status: 401, headers: Headers.admin });
+    }
+
+    return null;
+}
+
+// Record something done through the admin API in the audit log
+async function auditAction(req, action, target = null, details = null) {
+    const ip = await getClientIP(req);
+    addAuditEntry(ip, action, target, details);
+    log.info("Admin action", { ip, action, target, details });
+}
+
+// Check the limits an admin wants to change, returns the error to send if one of them isn't valid
+function checkLimits(changes) {
+    if (!changes || typeof changes != "object" || Array.isArray(changes)) return "Invalid body!";
+
+    for (const [name, value] of Object.entries(changes)) {
+        if (!Object.hasOwn(limits, name)) return `Unknown limit "${name}", options: ${Object.keys(limits).join(", ")}`;
+        if (!Number.isSafeInteger(value) || value < 1) return `The limit "${name}" has to be a positive whole number!`;
+    }
+    return null;
+}
+
+// Get what the admin API shows about a stream
+async function getAdminStreamInfo(id, stream) {
+    const viewers = [];
+    for (const [ws, client] of global.websocketClients) {
+        if (client.stream == id) viewers.push({ username: client.username, ip: client.ip, country: client.country, host: client.host });
+    }
+
+    return {
+        id,
+        state: stream.state,
+        mode: stream.mode,
+        profile: stream.profile,
+        public: stream.public,
+        protected: isProtected(stream),
+        owner: stream.owner,
+        size: stream.size,
+        disk: {
+            stream: await getDirectorySize(stream.directory),
+            cache: stream.cacheKey ? await getDirectorySize(getOutputDirectory(stream)) : 0
+        },
+        pid: global.ffmpegProcesses.get(id)?.pid ?? global.transcodes.get(stream.cacheKey)?.pid ?? null,
+        viewers,
+        queue: (stream.queue || []).length,
+        keepAlive: stream.keepAlive,
+        expiresAt: stream.keepAlive + limits.maxKeepAlive,
+        timestamp: stream.timestamp
+    };
+}
+
+// Turn a fully uploaded file into a new stream and return the response for the client
+async function createStream(id, token, directoryPath, tempPath, headers, options = {}, logger = log) {
+    const fileType = await getFileType(tempPath);
+
+    if (!fileType || !supportedFileMimes.includes(fileType.mime)) {
+        await rm(directoryPath, { recursive: true, force: true });
+        return rejectUpload("unsupported_type", Response.json({ success: false, cause: "Unsupported or unknown file type!" }, { status: 422, headers }));
+    }
+
+    // Every stream plays a remuxed copy of the upload, without anything ffmpeg doesn't need
+    const finalVideoPath = join(directoryPath, "video.mkv");
+    const rejection = await sanitizeVideo(tempPath, finalVideoPath);
+
+    if (rejection) {
+        logger.info("Rejected an invalid video", { reason: rejection });
+        await rm(directoryPath, { recursive: true, force: true });
+        return rejectUpload(rejection, Response.json({ success: false, cause: videoRejections[rejection], reason: rejection }, { status: 422, headers }));
+    }
+    await rm(tempPath, { force: true });
+
+    const { size } = await stat(finalVideoPath);
+    metrics.uploads.inc();
+    const metadata = await getVideoMetadata(finalVideoPath);
+
+    const quality = await getBestQuality(metadata.width, metadata.height);
+    const framerate = await getBestFramerate(metadata.framerate);
+    // Codecs more efficient than H.264 get the same quality with less bitrate
+    const profile = getProfile(options.profile);
+    const bitrate = scaleBitrate(await getBestBitrate(quality.width, quality.height, framerate), profile.bitrateFactor);
+    const renditions = await getRenditions(quality.width, quality.height, framerate, profile.bitrateFactor);
+    const tracks = await getTracks(metadata);
+
+    const now = Date.now();
+
+    global.streams.set(id, {
+        id, token, state: "stopped",
+        public: options.public || false, // Listed in the lobby
+        mode: options.mode || STREAM_MODE,
+        profile: profile.name,
+        password: options.password || null, // Hashed
+        inviteOnly: options.inviteOnly || false,
+        invites: [],
+        accessSecret: createAccessSecret(), // Signs the access tokens and URLs
+        owner: options.owner || null, // IP of the uploader
+        size,
+        width: quality.width,
+        height: quality.height,
+        fps: framerate,
+        bitrate,
+        renditions,
+        audio: tracks.audio,
+        subtitles: tracks.subtitles,
+        duration: metadata.duration,
+        position: 0,
+        directory: directoryPath,
+        video: finalVideoPath,
+        keepAlive: now,
+        timestamp: now
+    });
+
+    // Created right away so that the host can share them along with the stream
+    const invites = [];
+    for (let i = 0; i < (options.invites || 0); i++) invites.push(createInvite(global.streams.get(id)));
+    if (invites.length > 0) global.streams.set(id, global.streams.get(id));
+
+    logger.info("New stream", {
+        stream: id,
+        mode: options.mode || STREAM_MODE,
+        profile: profile.name,
+        quality: `${quality.width}x${quality.height}`,
+        fps: framerate,
+        bitrate,
+        renditions: renditions.map(rendition => rendition.name).join(","),
+        audio: tracks.audio.length,
+        subtitles: tracks.subtitles.length,
+        size,
+        protected: isProtected(global.streams.get(id))
+    });
+
+    // VOD streams start transcoding right away (or once there's room for it) so that they're ready once the host starts them
+    if (options.mode == "vod") {
+        const stream = global.streams.get(id);
+        await scheduleTranscode(stream);
+        global.streams.set(id, stream);
+    }
+
+    // Generate the previews in the background, they'll be available once they're done
+    generatePreviews(global.streams.get(id)).then(() => {
+        const stream = global.streams.get(id);
+        if (!stream) return;
+
+        stream.previews = true;
+        global.streams.set(id, stream);
+    }).catch(error => logger.error("Failed to generate previews", { stream: id, error: error.message }));
+
+    return Response.json({ success: true, message: "Stream created!", id, token, tracks, ...(invites.length > 0 ? { invites } : {}) }, { headers });
+}
 
 const server = Bun.serve({
     port: PORT,
@@ -50,19 +492,56 @@ const server = Bun.serve({
             GET: async () => {
                 return Response.json({
                     success: true,
-                    maxUploadSize: MAX_UPLOAD_SIZE,
-                    maxKeepAlive: MAX_KEEP_ALIVE,
+                    maxUploadSize: limits.maxUploadSize,
+                    maxKeepAlive: limits.maxKeepAlive,
+                    limits: {
+                        uploadsPerHour: MAX_UPLOADS_PER_HOUR,
+                        storagePerIP: limits.maxStoragePerIP,
+                        streamsPerIP: limits.maxStreamsPerIP,
+                        messagesPerSecond: MAX_MESSAGES_PER_SECOND
+                    },
+                    load: getLoad(),
+                    profiles: Object.values(profiles).map(({ name, codec, mode, audio, segmentLength }) => ({ name, codec, mode, audio: audio.codec, segmentLength })),
+                    defaultProfile
                 }, { headers: Headers.info });
             }
         },
 
+        // Get the server's metrics in the Prometheus text format (only with the metrics token if there's one)
+        "/metrics": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.metrics });
+            },
+            GET: async (req) => {
+                if (METRICS_TOKEN && !safeEqual(await getBearerToken(req) || "", METRICS_TOKEN))
+                    return Response.json({ success: false, cause: "Invalid metrics token!" }, { status: 401, headers: Headers.metrics });
+
+                updateGauges();
+                return new Response(renderMetrics(), {
+                    headers: { ...Headers.metrics, "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }
+                });
+            }
+        },
+
         // Upload a video to be streamed
         "/upload": {
             OPTIONS: async () => {
                 return new Response(null, { status: 204, headers: Headers.upload });
             },
             POST: async (req) => {
-                const MAX_PROBE_BYTES = 4100; // First 4 KB of the file for type detection
+                const options = getUploadOptions(req);
+                if (!Object.hasOwn(profiles, options.profile))
+                    return rejectUpload("unknown_profile", Response.json({ success: false, cause: "Unknown encoding profile!" }, { status: 400, headers: Headers.upload }));
+
+                const invalidAccess = await checkUploadAccess(options, Headers.upload);
+                if (invalidAccess) return invalidAccess;
+
+                const ip = await getClientIP(req);
+                const limited = checkUploadLimits(ip, Number(req.headers.get("content-length")) || 0, Headers.upload);
+                if (limited) return limited;
+
+                const storageLeft = limits.maxStoragePerIP - getOwnerUsage(ip).bytes;
+
                 const id = await generateRandomString(32);
                 const token = await generateRandomString(16);
                 const directoryPath = join(streamsDirectory, id);
@@ -70,35 +549,32 @@ const server = Bun.serve({
                 await mkdir(directoryPath, { recursive: true });
 
                 const tempPath = join(directoryPath, "video.tmp");
-                const fileStream = createWriteStream(tempPath);
                 const reader = req.body?.getReader();
 
-                if (!reader) 
-                    return Response.json({ success: false, cause: "No readable stream!" }, { status: 400, headers: Headers.upload });
+                if (!reader) {
+                    await rm(directoryPath, { recursive: true, force: true });
+                    return rejectUpload("no_body", Response.json({ success: false, cause: "No readable stream!" }, { status: 400, headers: Headers.upload }));
+                }
 
+                const fileStream = createWriteStream(tempPath);
                 let totalBytes = 0;
-                let probeBuffer = Buffer.alloc(0);
-                let fileType;
                 let done = false;
 
                 while (!done) {
                     const { value, done: streamDone } = await reader.read();
                     if (value) {
                         totalBytes += value.length;
-                        
-                        if (totalBytes > MAX_UPLOAD_SIZE) {
-                            fileStream.destroy();
-                            return Response.json({ success: false, cause: "File exceeds max upload size!" }, { status: 413, headers: Headers.upload });
-                        }
+                        metrics.uploadBytes.inc({}, value.length);
 
-                        if (probeBuffer.length < MAX_PROBE_BYTES) {
-                            probeBuffer = Buffer.concat([probeBuffer, Buffer.from(value)]);
-                            if (probeBuffer.length > MAX_PROBE_BYTES) probeBuffer = probeBuffer.slice(0, MAX_PROBE_BYTES);
+                        if (totalBytes > limits.maxUploadSize) {
+                            await new Promise(resolve => fileStream.end(resolve));
+                            await rm(directoryPath, { recursive: true, force: true });
+                            return rejectUpload("too_large", Response.json({ success: false, cause: "File exceeds max upload size!" }, { status: 413, headers: Headers.upload }));
                         }
-
-                        if (!fileType && probeBuffer.length >= MAX_PROBE_BYTES) {
-                            const type = await fileTypeFromBuffer(probeBuffer);
-                            if (type) fileType = type;
+                        if (totalBytes > storageLeft) {
+                            await new Promise(resolve => fileStream.end(resolve));
+                            await rm(directoryPath, { recursive: true, force: true });
+                            return rejectUpload("storage_quota", tooManyRequests("Your streams are using too much storage!", getOwnerUsage(ip).retryAfter, Headers.upload));
                         }
 
                         fileStream.write(Buffer.from(value));
@@ -106,73 +582,608 @@ const server = Bun.serve({
                     done = streamDone;
                 }
 
-                fileStream.end();
+                // Make sure everything's been written before probing the file
+                await new Promise(resolve => fileStream.end(resolve));
 
-                if (!fileType) fileType = await fileTypeFromBuffer(probeBuffer);
+                if (totalBytes == 0) {
+                    await rm(directoryPath, { recursive: true, force: true });
+                    return rejectUpload("no_body", Response.json({ success: false, cause: "No file supplied!" }, { status: 400, headers: Headers.upload }));
+                }
 
-                if (!fileType || !supportedFileMimes.includes(fileType.mime))
-                    return Response.json({ success: false, cause: "Unsupported or unknown file type!" }, { status: 422, headers: Headers.upload });
+                return await createStream(id, token, directoryPath, tempPath, Headers.upload, { ...options, owner: ip }, log.child({ route: "/upload", ip }));
+            }
+        },
 
-                const finalVideoPath = join(directoryPath, `video.${fileType.ext}`);
-                await rename(tempPath, finalVideoPath);
+        // Start a resumable upload (the total size has to be given in the Upload-Length header)
+        "/upload/init": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.upload });
+            },
+            POST: async (req) => {
+                const length = Number(req.headers.get("upload-length"));
+
+                if (!Number.isSafeInteger(length) || length <= 0)
+                    return rejectUpload("invalid_length", Response.json({ success: false, cause: "Invalid or missing Upload-Length header!" }, { status: 400, headers: Headers.upload }));
+                if (length > limits.maxUploadSize)
+                    return rejectUpload("too_large", Response.json({ success: false, cause: "File exceeds max upload size!" }, { status: 413, headers: Headers.upload }));
+
+                const options = getUploadOptions(req);
+                if (!Object.hasOwn(profiles, options.profile))
+                    return rejectUpload("unknown_profile", Response.json({ success: false, cause: "Unknown encoding profile!" }, { status: 400, headers: Headers.upload }));
+
+                const invalidAccess = await checkUploadAccess(options, Headers.upload);
+                if (invalidAccess) return invalidAccess;
 
-                const metadata = await getVideoMetadata(finalVideoPath);
+                const ip = await getClientIP(req);
+                const limited = checkUploadLimits(ip, length, Headers.upload);
+                if (limited) return limited;
 
-                const quality = await getBestQuality(metadata.width, metadata.height);
-                const framerate = await getBestFramerate(metadata.framerate);
-                const bitrate = await getBestBitrate(quality.width, quality.height, framerate);
-                
-                const now = Date.now();
+                const id = await generateRandomString(32);
+                const directoryPath = join(streamsDirectory, id);
+                const tempPath = join(directoryPath, "video.tmp");
 
-                global.streams.set(id, {
-                    id, token, state: "stopped",
-                    width: quality.width,
-                    height: quality.height,
-                    fps: framerate,
-                    bitrate,
+                await mkdir(directoryPath, { recursive: true });
+                await writeFile(tempPath, "");
+
+                global.uploads.set(id, {
+                    id, length,
+                    options: { ...options, owner: ip },
+                    owner: ip,
+                    offset: 0,
                     directory: directoryPath,
-                    video: finalVideoPath,
-                    keepAlive: now,
-                    timestamp: now
+                    path: tempPath,
+                    busy: false,
+                    updatedAt: Date.now()
                 });
 
-                console.log(`[Stream] New stream:\n- ID: ${id}\n- Quality: ${quality.width}x${quality.height}\n- FPS: ${framerate}\n- Bitrate: ${bitrate}bps\n- Size: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
+                return Response.json({ success: true, message: "Upload created!", id, offset: 0, length }, {
+                    status: 201,
+                    headers: {
+                        ...Headers.upload,
+                        "Location": `/upload/${id}`,
+                        "Upload-Offset": "0",
+                        "Upload-Length": `${length}`
+                    }
+                });
+            }
+        },
+
+        // Get the current offset of a resumable upload or append a chunk to it
+        "/upload/:id": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.resumableUpload });
+            },
+            HEAD: async (req) => {
+                const upload = global.uploads.get(req.params.id);
+                if (!upload)
+                    return new Response(null, { status: 404, headers: Headers.resumableUpload });
+
+                return new Response(null, {
+                    headers: {
+                        ...Headers.resumableUpload,
+                        "Upload-Offset": `${upload.offset}`,
+                        "Upload-Length": `${upload.length}`
+                    }
+                });
+            },
+            PATCH: async (req) => {
+                const upload = global.uploads.get(req.params.id);
+                if (!upload)
+                    return Response.json({ success: false, cause: "Upload not found!" }, { status: 404, headers: Headers.resumableUpload });
+                if (isBanned(upload.owner))
+                    return rejectUpload("banned", Response.json({ success: false, cause: "You're banned from this server!" }, { status: 403, headers: Headers.resumableUpload }));
+                if (upload.busy)
+                    return Response.json({ success: false, cause: "Another chunk is already being uploaded!" }, { status: 409, headers: Headers.resumableUpload });
+
+                // A missing header would otherwise count as offset 0
+                const offsetHeader = req.headers.get("upload-offset");
+                const offset = /^\d+$/.test(offsetHeader || "") ? Number(offsetHeader) : NaN;
+                if (!Number.isSafeInteger(offset))
+                    return Response.json({ success: false, cause: "Invalid or missing Upload-Offset header!" }, { status: 400, headers: Headers.resumableUpload });
+                if (offset !== upload.offset)
+                    return Response.json({ success: false, cause: "Upload-Offset doesn't match the current offset!", offset: upload.offset }, {
+                        status: 409,
+                        headers: { ...Headers.resumableUpload, "Upload-Offset": `${upload.offset}` }
+                    });
+
+                const reader = req.body?.getReader();
+                if (!reader)
+                    return Response.json({ success: false, cause: "No readable stream!" }, { status: 400, headers: Headers.resumableUpload });
+
+                upload.busy = true;
+                upload.updatedAt = Date.now();
+
+                const fileStream = createWriteStream(upload.path, { flags: "a" });
+                let totalBytes = upload.offset;
+                let tooLarge = false;
+
+                try {
+                    let done = false;
+                    while (!done) {
+                        const { value, done: streamDone } = await reader.read();
+                        if (value) {
+                            totalBytes += value.length;
+                            metrics.uploadBytes.inc({}, value.length);
+
+                            if (totalBytes > upload.length) {
+                                tooLarge = true;
+                                break;
+                            }
+
+                            fileStream.write(Buffer.from(value));
+                            upload.updatedAt = Date.now();
+                        }
+                        done = streamDone;
+                    }
+                } catch (error) {
+                    // The connection dropped, the client can resume from the last offset
+                    log.warn("Upload got interrupted", { route: "/upload/:id", ip: upload.owner, upload: upload.id, error: error.message });
+                } finally {
+                    await new Promise(resolve => fileStream.end(resolve));
+
+                    // Trust what actually made it to the disk
+                    upload.offset = (await stat(upload.path)).size;
+                    upload.busy = false;
+                }
+
+                if (tooLarge) {
+                    global.uploads.delete(upload.id);
+                    await rm(upload.directory, { recursive: true, force: true });
+                    return rejectUpload("too_large", Response.json({ success: false, cause: "Chunk exceeds the declared Upload-Length!" }, { status: 413, headers: Headers.resumableUpload }));
+                }
 
-                return Response.json({ success: true, message: "Stream created!", id, token }, { headers: Headers.upload });
+                // Reject files that aren't videos as soon as we have enough bytes to tell
+                if (!upload.checked && upload.offset >= Math.min(MAX_PROBE_BYTES, upload.length)) {
+                    const fileType = await getFileType(upload.path);
+                    if (!fileType || !supportedFileMimes.includes(fileType.mime)) {
+                        global.uploads.delete(upload.id);
+                        await rm(upload.directory, { recursive: true, force: true });
+                        return rejectUpload("unsupported_type", Response.json({ success: false, cause: "Unsupported or unknown file type!" }, { status: 422, headers: Headers.resumableUpload }));
+                    }
+                    upload.checked = true;
+                }
+
+                // The upload isn't done yet
+                if (upload.offset < upload.length) {
+                    return Response.json({ success: true, message: "Chunk uploaded!", id: upload.id, offset: upload.offset, length: upload.length }, {
+                        headers: { ...Headers.resumableUpload, "Upload-Offset": `${upload.offset}` }
+                    });
+                }
+
+                // Everything's been received, so the stream can now be created
+                global.uploads.delete(upload.id);
+                const token = await generateRandomString(16);
+
+                return await createStream(upload.id, token, upload.directory, upload.path, {
+                    ...Headers.resumableUpload,
+                    "Upload-Offset": `${upload.offset}`
+                }, upload.options, log.child({ route: "/upload/:id", ip: upload.owner }));
             }
         },
 
-        // Get segments for a stream
-        "/:streamID/:segment": {
+        // List the streams their host made public
+        "/streams": {
             OPTIONS: async () => {
-                return new Response(null, { status: 204, headers: Headers.segment });
+                return new Response(null, { status: 204, headers: Headers.streams });
+            },
+            GET: async () => {
+                const streams = [];
+                for (const [id, stream] of global.streams) {
+                    if (stream.public) streams.push({ ...getStreamInfo(stream), viewers: countViewers(id) });
+                }
+
+                // Newest streams first
+                streams.sort((a, b) => b.timestamp - a.timestamp);
+
+                return Response.json({ success: true, streams }, { headers: Headers.streams });
+            }
+        },
+
+        // Get info about a stream
+        "/streams/:streamID": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.streams });
+            },
+            GET: async (req) => {
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.streams });
+
+                return Response.json({ success: true, stream: { ...getStreamInfo(stream), viewers: countViewers(stream.id) } }, { headers: Headers.streams });
+            },
+            DELETE: async (req) => {
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.streams });
+                if (!safeEqual(await getBearerToken(req) || "", stream.token))
+                    return Response.json({ success: false, cause: "You're not the host!" }, { status: 403, headers: Headers.streams });
+
+                await killStream(stream.id, stream.directory, "stopped");
+
+                return Response.json({ success: true, message: "Stream stopped!" }, { headers: Headers.streams });
+            },
+            // Change who can watch the stream: { password: "..." or null, inviteOnly: true or false }
+            PATCH: async (req) => {
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.streams });
+                if (!safeEqual(await getBearerToken(req) || "", stream.token))
+                    return Response.json({ success: false, cause: "You're not the host!" }, { status: 403, headers: Headers.streams });
+
+                const body = await req.json().catch(() => null);
+                if (typeof body != "object" || body === null)
+                    return Response.json({ success: false, cause: "Invalid JSON" }, { status: 400, headers: Headers.streams });
+                if (body.password !== undefined && body.password !== null && !await RegexCheck.password(body.password))
+                    return Response.json({ success: false, cause: "The password has to be between 4 and 128 characters!" }, { status: 400, headers: Headers.streams });
+                if (body.inviteOnly !== undefined && typeof body.inviteOnly != "boolean")
+                    return Response.json({ success: false, cause: "inviteOnly has to be true or false!" }, { status: 400, headers: Headers.streams });
+
+                const wasProtected = isProtected(stream);
+                if (body.password !== undefined) stream.password = body.password === null ? null : await hashPassword(body.password);
+                if (body.inviteOnly !== undefined) stream.inviteOnly = body.inviteOnly;
+                global.streams.set(stream.id, stream);
+
+                log.info("Stream access changed", { stream: stream.id, password: !!stream.password, inviteOnly: !!stream.inviteOnly });
+
+                // The viewers who are already watching keep access to the playlists and segments
+                if (!wasProtected && isProtected(stream)) sendAccess(stream);
+
+                return Response.json({ success: true, message: "Stream updated!", protected: isProtected(stream), inviteOnly: !!stream.inviteOnly }, { headers: Headers.streams });
+            }
+        },
+
+        // List or create the invite codes of a stream, only for its host
+        "/streams/:streamID/invites": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.invites });
+            },
+            GET: async (req) => {
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.invites });
+                if (!safeEqual(await getBearerToken(req) || "", stream.token))
+                    return Response.json({ success: false, cause: "You're not the host!" }, { status: 403, headers: Headers.invites });
+
+                return Response.json({ success: true, invites: getInvites(stream) }, { headers: Headers.invites });
+            },
+            // Optionally with { expiresIn: minutes }
+            POST: async (req) => {
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.invites });
+                if (!safeEqual(await getBearerToken(req) || "", stream.token))
+                    return Response.json({ success: false, cause: "You're not the host!" }, { status: 403, headers: Headers.invites });
+
+                const body = await req.json().catch(() => ({}));
+                const ttl = body?.expiresIn !== undefined ? Number(body.expiresIn) * 60 * 1000 : undefined;
+                if (ttl !== undefined && !(ttl > 0 && ttl <= maxInviteTTL))
+                    return Response.json({ success: false, cause: `Invite codes can only last up to ${maxInviteTTL / 60 / 1000} minutes!` }, { status: 400, headers: Headers.invites });
+
+                const invite = createInvite(stream, ttl);
+                if (!invite)
+                    return Response.json({ success: false, cause: "This stream already has too many invite codes!" }, { status: 409, headers: Headers.invites });
+                global.streams.set(stream.id, stream);
+
+                return Response.json({ success: true, message: "Invite created!", invite }, { status: 201, headers: Headers.invites });
+            }
+        },
+
+        // Revoke an invite code (the viewers who already joined with it stay)
+        "/streams/:streamID/invites/:code": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.invites });
+            },
+            DELETE: async (req) => {
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.invites });
+                if (!safeEqual(await getBearerToken(req) || "", stream.token))
+                    return Response.json({ success: false, cause: "You're not the host!" }, { status: 403, headers: Headers.invites });
+
+                const invites = getInvites(stream);
+                if (!invites.some(invite => invite.code == req.params.code))
+                    return Response.json({ success: false, cause: "Invite not found!" }, { status: 404, headers: Headers.invites });
+
+                stream.invites = invites.filter(invite => invite.code != req.params.code);
+                global.streams.set(stream.id, stream);
+
+                return Response.json({ success: true, message: "Invite revoked!" }, { headers: Headers.invites });
+            }
+        },
+
+        // Attach a subtitle file (SRT, ASS, WebVTT...) to a stream, only for its host
+        "/streams/:streamID/subtitles": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.subtitles });
+            },
+            POST: async (req) => {
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.subtitles });
+                if (!safeEqual(await getBearerToken(req) || "", stream.token))
+                    return Response.json({ success: false, cause: "You're not the host!" }, { status: 403, headers: Headers.subtitles });
+
+                const url = new URL(req.url);
+                const language = url.searchParams.get("language") || "und";
+                const title = url.searchParams.get("title")?.slice(0, 64) || null;
+
+                if (language != "und" && !await RegexCheck.language(language))
+                    return Response.json({ success: false, cause: "Invalid language code!" }, { status: 400, headers: Headers.subtitles });
+                if ((stream.subtitles || []).length >= MAX_SUBTITLE_TRACKS)
+                    return Response.json({ success: false, cause: "This stream already has too many subtitle tracks!" }, { status: 409, headers: Headers.subtitles });
+
+                if (Number(req.headers.get("content-length")) > MAX_SUBTITLES_SIZE)
+                    return Response.json({ success: false, cause: "File exceeds max subtitles size!" }, { status: 413, headers: Headers.subtitles });
+
+                // Read the body chunk by chunk so that it never goes over the max size in memory
+                const reader = req.body?.getReader();
+                const chunks = [];
+                let totalBytes = 0;
+                while (reader) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+
+                    totalBytes += value.length;
+                    if (totalBytes > MAX_SUBTITLES_SIZE) {
+                        await reader.cancel();
+                        return Response.json({ success: false, cause: "File exceeds max subtitles size!" }, { status: 413, headers: Headers.subtitles });
+                    }
+                    chunks.push(value);
+                }
+
+                if (totalBytes == 0)
+                    return Response.json({ success: false, cause: "No subtitles supplied!" }, { status: 400, headers: Headers.subtitles });
+                const body = Buffer.concat(chunks);
+
+                const track = {
+                    index: null,
+                    codec: "webvtt",
+                    language, title,
+                    default: false,
+                    external: true,
+                    name: `subtitles_${(stream.subtitles || []).length}`
+                };
+
+                // Let ffmpeg figure out the format and convert it to WebVTT
+                const tempPath = join(stream.directory, "subtitles", `${track.name}.tmp`);
+                await Bun.write(tempPath, body);
+                const converted = await convertSubtitles(tempPath, getExternalSubtitlesPath(stream, track));
+                await rm(tempPath, { force: true });
+
+                if (!converted)
+                    return Response.json({ success: false, cause: "Unsupported or invalid subtitles!" }, { status: 422, headers: Headers.subtitles });
+
+                // VOD streams with these subtitles get transcoded separately
+                track.hash = await hashFile(getExternalSubtitlesPath(stream, track));
+
+                stream.subtitles = [...(stream.subtitles || []), track];
+
+                // Add the new rendition to the playlist right away if the stream is playing
+                if (stream.state == "started") await restartStream(stream);
+                global.streams.set(stream.id, stream);
+
+                server.publish(stream.id, JSON.stringify({ success: true, type: "subtitles", stream: stream.id, track }));
+
+                return Response.json({ success: true, message: "Subtitles added!", track }, { headers: Headers.subtitles });
+            }
+        },
+
+        // Get the master playlist and the previews of a stream
+        "/:streamID/:segment": {
+            OPTIONS: async (req) => {
+                return new Response(null, { status: 204, headers: getSegmentHeaders(req) });
             },
             GET: async (req) => {
                 const { streamID, segment } = req.params;
 
                 // Prevent client from accessing other files
-                if ((!segment.endsWith(".ts") && !segment.endsWith(".m3u8")) || !global.streams.has(streamID))
-                    return new Response("Not Found", { headers: Headers.segment, status: 404 });
+                if ((segment != "master.m3u8" && !Object.values(previewFiles).includes(segment)) || !global.streams.has(streamID))
+                    return new Response("Not Found", { headers: getSegmentHeaders(req), status: 404 });
 
-                // Try to get the segment
-                const streamPath = join(streamsDirectory, streamID, segment);
-                if (!await Bun.file(streamPath).exists())
-                    return new Response("Not Found", { headers: Headers.segment, status: 404 });
+                // Signed URLs are given to the viewers once they've joined (and in the stream's info if it's not protected)
+                const stream = global.streams.get(streamID);
+                if (!canAccess(stream, req))
+                    return new Response("Forbidden", { headers: getSegmentHeaders(req), status: 403 });
 
-                // Return the segment
-                return new Response(Bun.file(streamPath).stream(), {
-                    headers: {
-                        ...Headers.segment,
-                        "Content-Type": segment.endsWith(".ts") ? "video/MP2T" : "application/vnd.apple.mpegurl",
-                        "Cache-Control": "no-cache"
-                    }
-                });
+                // The master playlist may be in the cache while the previews are always in the stream's directory
+                return await serveSegment(req, stream, join(segment == "master.m3u8" ? getOutputDirectory(stream) : stream.directory, segment));
+            }
+        },
+
+        // Get the variant playlists and segments of a stream's renditions, audio and subtitle tracks
+        "/:streamID/:rendition/:segment": {
+            OPTIONS: async (req) => {
+                return new Response(null, { status: 204, headers: getSegmentHeaders(req) });
+            },
+            GET: async (req) => {
+                const { streamID, rendition, segment } = req.params;
+                const stream = global.streams.get(streamID);
+
+                // Prevent client from accessing other files
+                if (!stream || !getVariantNames(stream).includes(rendition) || !await RegexCheck.segment(segment))
+                    return new Response("Not Found", { headers: getSegmentHeaders(req), status: 404 });
+                if (!canAccess(stream, req))
+                    return new Response("Forbidden", { headers: getSegmentHeaders(req), status: 403 });
+
+                return await serveSegment(req, stream, join(getOutputDirectory(stream), rendition, segment));
             }
         },
 
         // Upgrade to websocket
         "/ws": async (req) => {
-            return server.upgrade(req, { data: { ip: await getClientIP(req) } });
+            const ip = await getClientIP(req);
+            if (isBanned(ip))
+                return Response.json({ success: false, cause: "You're banned from this server!" }, { status: 403, headers: Headers.info });
+
+            return server.upgrade(req, { data: { ip } });
+        },
+
+        // Overview of the server, for admins
+        "/admin": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.admin });
+            },
+            GET: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                return Response.json({
+                    success: true,
+                    streams: global.streams.size,
+                    uploads: global.uploads.size,
+                    clients: global.websocketClients.size,
+                    bans: global.bans.size,
+                    load: getLoad(),
+                    limits
+                }, { headers: Headers.admin });
+            }
+        },
+
+        // List every stream, public or not, with who uploaded it and what it uses
+        "/admin/streams": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.admin });
+            },
+            GET: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                const streams = [];
+                for (const [id, stream] of global.streams) streams.push(await getAdminStreamInfo(id, stream));
+                streams.sort((a, b) => b.timestamp - a.timestamp);
+
+                const uploads = [...global.uploads.values()].map(({ id, owner, offset, length, updatedAt }) => ({ id, owner, offset, length, updatedAt }));
+
+                return Response.json({ success: true, streams, uploads }, { headers: Headers.admin });
+            }
+        },
+
+        // Get info about a stream or force it to stop
+        "/admin/streams/:streamID": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.admin });
+            },
+            GET: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.admin });
+
+                return Response.json({ success: true, stream: await getAdminStreamInfo(stream.id, stream) }, { headers: Headers.admin });
+            },
+            DELETE: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                const stream = global.streams.get(req.params.streamID);
+                if (!stream)
+                    return Response.json({ success: false, cause: "Stream not found!" }, { status: 404, headers: Headers.admin });
+
+                await auditAction(req, "stop_stream", stream.id, { owner: stream.owner });
+                await killStream(stream.id, stream.directory, "admin");
+
+                return Response.json({ success: true, message: "Stream stopped!" }, { headers: Headers.admin });
+            }
+        },
+
+        // List the banned IPs or ban one: { ip: "...", reason: "..." (optional), stopStreams: true (optional) }
+        "/admin/bans": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.admin });
+            },
+            GET: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                const bans = [...global.bans.values()].sort((a, b) => b.created - a.created);
+                return Response.json({ success: true, bans }, { headers: Headers.admin });
+            },
+            POST: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                const body = await req.json().catch(() => null);
+                const ip = normalizeIP(body?.ip);
+                if (!ip)
+                    return Response.json({ success: false, cause: "Invalid IP address!" }, { status: 400, headers: Headers.admin });
+                if (body.reason !== undefined && body.reason !== null && (typeof body.reason != "string" || body.reason.length > 500))
+                    return Response.json({ success: false, cause: "The reason has to be text of up to 500 characters!" }, { status: 400, headers: Headers.admin });
+                if (global.bans.has(ip))
+                    return Response.json({ success: false, cause: "This IP is already banned!" }, { status: 409, headers: Headers.admin });
+
+                const stopStreams = body.stopStreams === true;
+                await auditAction(req, "ban", ip, { reason: body.reason || null, stopStreams });
+                await banIP(ip, body.reason || null, stopStreams);
+
+                return Response.json({ success: true, message: "IP banned!", ban: global.bans.get(ip) }, { status: 201, headers: Headers.admin });
+            }
+        },
+
+        // Unban an IP
+        "/admin/bans/:ip": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.admin });
+            },
+            DELETE: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                const ip = normalizeIP(decodeURIComponent(req.params.ip));
+                if (!ip || !global.bans.has(ip))
+                    return Response.json({ success: false, cause: "This IP isn't banned!" }, { status: 404, headers: Headers.admin });
+
+                await auditAction(req, "unban", ip);
+                global.bans.delete(ip);
+
+                return Response.json({ success: true, message: "IP unbanned!" }, { headers: Headers.admin });
+            }
+        },
+
+        // Get or change the limits while the server is running: { maxKeepAlive: 3600000, ... } (until it restarts)
+        "/admin/limits": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.admin });
+            },
+            GET: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                return Response.json({ success: true, limits }, { headers: Headers.admin });
+            },
+            PATCH: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                const changes = await req.json().catch(() => null);
+                const invalid = checkLimits(changes);
+                if (invalid)
+                    return Response.json({ success: false, cause: invalid }, { status: 400, headers: Headers.admin });
+
+                const previous = Object.fromEntries(Object.keys(changes).map(name => [name, limits[name]]));
+                Object.assign(limits, changes);
+                await auditAction(req, "change_limits", null, { previous, changes });
+
+                return Response.json({ success: true, message: "Limits changed!", limits }, { headers: Headers.admin });
+            }
+        },
+
+        // Get the last actions done through the admin API, newest first
+        "/admin/audit": {
+            OPTIONS: async () => {
+                return new Response(null, { status: 204, headers: Headers.admin });
+            },
+            GET: async (req) => {
+                const denied = await checkAdmin(req);
+                if (denied) return denied;
+
+                const limit = Number(new URL(req.url).searchParams.get("limit")) || 100;
+                if (!Number.isInteger(limit) || limit < 1 || limit > 1000)
+                    return Response.json({ success: false, cause: "The limit has to be a whole number from 1 to 1000!" }, { status: 400, headers: Headers.admin });
+
+                return Response.json({ success: true, entries: getAuditLog(limit) }, { headers: Headers.admin });
+            }
         },
 
         // If the endpoint is not found
@@ -183,22 +1194,31 @@ const server = Bun.serve({
         maxPayloadLength: 2 * 1024, // 2 KB
 
         // Upon entering the websocket, unsubscribe the client if it
-        // was in the websocketClients object (and delete it from there)
+        // was in the global.websocketClients object (and delete it from there)
         open(ws) {
-            if (websocketClients.has(ws)) {
-                const client = websocketClients.get(ws);
+            if (global.websocketClients.has(ws)) {
+                const client = global.websocketClients.get(ws);
                 ws.unsubscribe(client.stream);
-                websocketClients.delete(ws);
+                global.websocketClients.delete(ws);
             }
         },
 
         // Handle the different messages sent by the client
         async message(ws, message) {
+            // Every message counts, even the invalid ones
+            const retryAfter = messageLimiter.take(ws.data.ip);
+
             let data;
             try {
                 data = JSON.parse(message);
+                if (typeof data != "object" || data === null) throw new Error();
             } catch {
-                return ws.send(JSON.stringify({ success: false, type: data.type, cause: "Invalid JSON" }));
+                return ws.send(JSON.stringify({ success: false, type: null, cause: "Invalid JSON" }));
+            }
+
+            if (retryAfter) {
+                log.debug("Client is sending too many messages", { ip: ws.data.ip, stream: data.stream, type: data.type });
+                return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're sending too many messages!", retryAfter }));
             }
 
             // Check if a stream ID's been supplied
@@ -210,7 +1230,7 @@ const server = Bun.serve({
             }
 
             // Check if the client is even in the object
-            if (!websocketClients.has(ws)) {
+            if (!global.websocketClients.has(ws)) {
                 // Check if the client is trying to watch a stream that doesn't exist
                 if (!data.stream || !global.streams.has(data.stream)) {
                     ws.send(JSON.stringify({ success: false, type: data.type, cause: `Stream ${data.stream} doesn't exist!` }));
@@ -219,6 +1239,18 @@ const server = Bun.serve({
                     return;
                 }
 
+                // Keep the stream from before the checks below, which wait for things during which it could end
+                const joinedStream = global.streams.get(data.stream);
+                const isHost = typeof data.token == "string" && safeEqual(data.token, joinedStream.token);
+
+                // Check if the client has been banned from the stream (not the host, who could share a banned viewer's IP)
+                if (!isHost && (joinedStream.bans || []).some(ban => ban.ip == ws.data.ip)) {
+                    ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're banned from this stream!" }));
+
+                    ws.close();
+                    return;
+                }
+
                 // Check if the client supplied a username
                 if (!data.username) {
                     ws.send(JSON.stringify({ success: false, type: data.type, cause: "No username supplied!" }));
@@ -226,35 +1258,88 @@ const server = Bun.serve({
                     ws.close();
                     return;
                 }
-                // Check if the username supplied is valid
-                if (!await RegexCheck.username(data.username)) {
+                // Check if the username supplied is valid (and text at all, other types can't be compared to the others)
+                if (typeof data.username != "string" || !await RegexCheck.username(data.username)) {
                     ws.send(JSON.stringify({ success: false, type: data.type, cause: "Only alphabetical characters, numbers, spaces and the characters '.-_@' are allowed in a username (minimum 3 characters, maximum 20 characters)!" }));
 
                     ws.close();
                     return;
                 }
 
-                // Get the stream's token
-                const streamToken = global.streams.get(data.stream).token;
+                // Protected streams need their password or an invite code (the host gets in with their token)
+                if (isProtected(joinedStream) && !isHost) {
+                    // Every attempt counts, and before the password gets verified (which is slow on purpose), so that
+                    // it can't be brute-forced by reconnecting or sending many attempts at once
+                    const retryAfter = data.password || data.invite ? joinLimiter.take(`${data.stream}:${ws.data.ip}`) : 0;
+                    if (retryAfter) {
+                        log.debug("Client is trying too many passwords or invite codes", { stream: data.stream, ip: ws.data.ip });
+                        ws.send(JSON.stringify({ success: false, type: data.type, cause: "Too many attempts, try again later!", retryAfter }));
+
+                        ws.close();
+                        return;
+                    }
+
+                    if (!await checkCredentials(joinedStream, data.password, data.invite)) {
+                        log.debug("Client supplied wrong credentials", { stream: data.stream, ip: ws.data.ip });
+                        ws.send(JSON.stringify({ success: false, type: data.type, cause: data.password || data.invite ? "Wrong password or invite code!" : "This stream needs a password or an invite code!" }));
+
+                        ws.close();
+                        return;
+                    }
+                }
+                const country = await getCountry(ws.data.ip);
+
+                // Check if the stream ended while the client was being checked
+                if (global.streams.get(data.stream) !== joinedStream) {
+                    ws.send(JSON.stringify({ success: false, type: data.type, cause: `Stream ${data.stream} ended!` }));
+
+                    ws.close();
+                    return;
+                }
+
+                // Check if someone in the stream already uses that username (checked
+                // after the country lookup so that two clients can't join with it at once)
+                if (isUsernameTaken(data.stream, data.username)) {
+                    ws.send(JSON.stringify({ success: false, type: data.type, cause: "This username is already taken!" }));
+
+                    ws.close();
+                    return;
+                }
 
                 // Subscribe the client so that he can get information
-                // and add him to the websocketClients object
+                // and add him to the global.websocketClients object
 
                 ws.subscribe(data.stream);
-                websocketClients.set(ws, {
+                global.websocketClients.set(ws, {
                     username: data.username,
                     ip: ws.data.ip,
-                    country: (await (await fetch(process.env.IPINFO_TOKEN ? `https://api.ipinfo.io/lite/${ws.data.ip}?token=${process.env.IPINFO_TOKEN}` : `https://ipapi.co/${ws.data.ip}/json/`)).json())?.country_code,
+                    country,
                     stream: data.stream,
-                    host: streamToken == data.token
+                    host: isHost,
+                    session: createSession()
                 });
 
-                ws.send(JSON.stringify({ success: true, type: data.type, message: `Now watching stream ${data.stream}!` }));
+                // Let everyone know that someone joined
+                const joined = global.websocketClients.get(ws);
+                log.debug("Client joined", { stream: data.stream, ip: joined.ip, username: joined.username, host: joined.host });
+                server.publish(data.stream, JSON.stringify({ success: true, type: "join", stream: data.stream, username: joined.username, host: joined.host, country: joined.country }));
+
+                // Viewers of protected streams get an access token to the playlists and segments (sent as ?token=),
+                // everyone gets the (signed if needed) URLs of the master playlist and previews
+                const { audio, subtitles } = joinedStream;
+                const access = isProtected(joinedStream) ? createAccessToken(joinedStream) : null;
+                ws.send(JSON.stringify({ success: true, type: data.type, message: `Now watching stream ${data.stream}!`, tracks: { audio, subtitles }, urls: getStreamUrls(joinedStream, joined.session), ...(access ? { access } : {}) }));
+
+                // Send the current playback state so that late joiners land on the same frame
+                ws.send(JSON.stringify({ success: true, type: "playback", ...getPlaybackState(joinedStream) }));
+
+                // And what's been said before they joined
+                ws.send(JSON.stringify({ success: true, type: "history", stream: data.stream, messages: getChatHistory(data.stream, CHAT_HISTORY_SIZE), pinned: getChatMessage(data.stream, joinedStream.pinnedId) }));
                 return;
             }
 
             // If the client is in the object, just get them here
-            const client = websocketClients.get(ws);
+            const client = global.websocketClients.get(ws);
 
             // Check if the stream has ended
             if (!global.streams.has(client.stream)) {
@@ -268,23 +1353,154 @@ const server = Bun.serve({
 
             // Handle the client's request type
             switch (data.type) {
-                case "start": // Start the stream
+                case "start": { // Start the stream
                     if (stream.state == "started" || global.ffmpegProcesses.has(client.stream))
                         return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This stream has already started!" }));
                     if (!client.host)
                         return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
 
-                    await startStream(stream);
+                    // Sets the stream's state to "started" and publishes it once ffmpeg is running
+                    const position = await scheduleStream(stream);
 
-                    // Set the stream's state to "started" and update the keep alive
-                    stream.state = "started";
+                    if (position > 0) {
+                        stream.keepAlive = Date.now();
+                        global.streams.set(client.stream, stream);
+                        return ws.send(JSON.stringify({ success: true, type: data.type, message: "Stream queued, it'll start once the server has room for it!", position }));
+                    }
+                    ws.send(JSON.stringify({ success: true, type: data.type, message: "Stream started!" }));
+                    break;
+                }
+                case "pause": // Pause the stream for everyone
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+                    if (stream.state != "started")
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This stream isn't playing!" }));
+
+                    // Save the position before suspending ffmpeg
+                    stream.position = getPlaybackPosition(stream);
+                    stream.state = "paused";
                     stream.keepAlive = Date.now();
+                    await suspendStream(client.stream);
                     global.streams.set(client.stream, stream);
 
-                    ws.send(JSON.stringify({ success: true, type: data.type, message: "Stream started!" }));
+                    ws.send(JSON.stringify({ success: true, type: data.type, message: "Stream paused!" }));
+                    server.publish(client.stream, JSON.stringify({ success: true, type: "playback", ...getPlaybackState(stream) }));
+                    break;
+                case "resume": { // Resume the stream from where it was paused
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+                    if (stream.state != "paused" || global.ffmpegProcesses.has(client.stream))
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This stream isn't paused!" }));
+
+                    const position = await scheduleStream(stream);
+
+                    if (position > 0) {
+                        stream.keepAlive = Date.now();
+                        global.streams.set(client.stream, stream);
+                        return ws.send(JSON.stringify({ success: true, type: data.type, message: "Stream queued, it'll resume once the server has room for it!", position }));
+                    }
+                    ws.send(JSON.stringify({ success: true, type: data.type, message: "Stream resumed!" }));
+                    break;
+                }
+                case "seek": { // Jump to another position in the stream
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+
+                    const position = Number(data.position);
+                    if (!Number.isFinite(position) || position < 0 || (stream.duration && position >= stream.duration))
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "Invalid position!" }));
+
+                    // Restart ffmpeg from the new position if the stream is playing,
+                    // otherwise it'll be picked up on start or resume
+                    if (stream.state == "started") await restartStream(stream, position);
+                    else stream.position = position;
+
+                    stream.keepAlive = Date.now();
+                    global.streams.set(client.stream, stream);
+
+                    ws.send(JSON.stringify({ success: true, type: data.type, message: "Position updated!" }));
+                    server.publish(client.stream, JSON.stringify({ success: true, type: "playback", ...getPlaybackState(stream) }));
+                    break;
+                }
+                case "visibility": // List or unlist the stream in the lobby
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+                    if (typeof data.public != "boolean")
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "No visibility supplied!" }));
+
+                    stream.public = data.public;
+                    stream.keepAlive = Date.now();
+                    global.streams.set(client.stream, stream);
+
+                    ws.send(JSON.stringify({ success: true, type: data.type, message: data.public ? "Stream is now public!" : "Stream is now private!" }));
+                    break;
+                case "queue": // Get the current video and the ones coming next
+                    ws.send(JSON.stringify({ success: true, type: data.type, ...getQueueInfo(stream) }));
+                    break;
+                case "queueAdd": { // Add another stream uploaded by the host to the queue
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+
+                    const source = global.streams.get(data.source);
+                    if (!source || source.id == stream.id || !safeEqual(data.sourceToken || "", source.token))
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "Invalid source stream or token!" }));
+                    if ((source.queue || []).length > 0)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "The source stream has its own queue!" }));
+
+                    const item = await addToQueue(stream, source);
+
+                    ws.send(JSON.stringify({ success: true, type: data.type, message: "Added to the queue!", item: item.id }));
+                    server.publish(client.stream, JSON.stringify({ success: true, type: "queue", ...getQueueInfo(stream) }));
+                    break;
+                }
+                case "queueMove": // Move a video of the queue somewhere else
+                case "queueRemove": { // Remove a video from the queue
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+
+                    const queue = stream.queue || [];
+                    const index = queue.findIndex(item => item.id == data.item);
+                    if (index == -1)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This video isn't in the queue!" }));
+
+                    const [item] = queue.splice(index, 1);
+                    if (data.type == "queueMove") {
+                        const position = Number(data.position);
+                        if (!Number.isInteger(position) || position < 0 || position > queue.length) {
+                            queue.splice(index, 0, item);
+                            return ws.send(JSON.stringify({ success: false, type: data.type, cause: "Invalid position!" }));
+                        }
+                        queue.splice(position, 0, item);
+                    } else await rm(item.directory, { recursive: true, force: true });
+
+                    stream.queue = queue;
+                    stream.keepAlive = Date.now();
+                    global.streams.set(client.stream, stream);
+
+                    ws.send(JSON.stringify({ success: true, type: data.type, message: data.type == "queueMove" ? "Queue reordered!" : "Removed from the queue!" }));
+                    server.publish(client.stream, JSON.stringify({ success: true, type: "queue", ...getQueueInfo(stream) }));
+                    break;
+                }
+                case "skip": // Skip to the next video of the queue
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+                    if ((stream.queue || []).length == 0)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "The queue is empty!" }));
+
+                    // Publishes the new queue and playback state
+                    await advanceQueue(stream);
+
+                    ws.send(JSON.stringify({ success: true, type: data.type, message: "Skipped to the next video!" }));
+                    break;
+                case "access": // Get a new access token and new signed URLs before the current ones expire
+                    ws.send(JSON.stringify(getAccessMessage(stream, client.session)));
+                    break;
+
+                case "roster": // Get everyone watching the stream
+                    ws.send(JSON.stringify({ success: true, type: data.type, stream: client.stream, viewers: getRoster(client.stream) }));
                     break;
                 case "keepAlive": // Update the stream's keep alive
-                    if (stream.state != "started" || !global.ffmpegProcesses.has(client.stream))
+                    if (stream.state != "started" && stream.state != "paused")
                         return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This stream hasn't even started yet!" }));
 
                     stream.keepAlive = Date.now();
@@ -292,78 +1508,246 @@ const server = Bun.serve({
 
                     ws.send(JSON.stringify({ success: true, type: data.type, message: "Keep alive registered!" }));
                     break;
-                case "message": // Send messages
-                    if (!data.message)
-                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "No message!" }));
+                case "kick": // Kick a viewer out of the stream
+                case "ban": { // Kick a viewer and prevent their IP from joining again
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+
+                    const targets = getClientsByUsername(client.stream, data.username).filter(([, target]) => !target.host);
+                    if (targets.length == 0)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This viewer isn't watching!" }));
+
+                    if (data.type == "ban") {
+                        stream.bans = stream.bans || [];
+                        for (const [, target] of targets) {
+                            if (!stream.bans.some(ban => ban.ip == target.ip)) stream.bans.push({ ip: target.ip, username: target.username });
+                        }
+
+                        // Also kick anyone else watching from the same IPs
+                        for (const [otherWs, other] of global.websocketClients) {
+                            if (other.stream == client.stream && !other.host && stream.bans.some(ban => ban.ip == other.ip) && !targets.some(([targetWs]) => targetWs == otherWs))
+                                targets.push([otherWs, other]);
+                        }
+                    }
 
                     stream.keepAlive = Date.now();
                     global.streams.set(client.stream, stream);
 
+                    // Let everyone (including the viewer) know before closing their connection
+                    server.publish(client.stream, JSON.stringify({ success: true, type: data.type, stream: client.stream, username: data.username, by: client.username }));
+                    for (const [targetWs] of targets) targetWs.close();
+                    break;
+                }
+                case "mute": // Prevent a viewer from sending messages
+                case "unmute": { // Allow a muted viewer to send messages again
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+
+                    const targets = getClientsByUsername(client.stream, data.username).filter(([, target]) => !target.host);
+                    stream.mutes = stream.mutes || [];
+
+                    if (data.type == "mute") {
+                        if (targets.length == 0)
+                            return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This viewer isn't watching!" }));
+
+                        for (const [, target] of targets) {
+                            if (!stream.mutes.some(mute => mute.ip == target.ip)) stream.mutes.push({ ip: target.ip, username: target.username });
+                        }
+                    } else {
+                        // Mutes are by IP, so find them from the viewer's current IP or the name they had when they got muted
+                        const ips = [...targets.map(([, target]) => target.ip), ...stream.mutes.filter(mute => mute.username == data.username).map(mute => mute.ip)];
+                        if (!stream.mutes.some(mute => ips.includes(mute.ip)))
+                            return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This viewer isn't muted!" }));
+
+                        stream.mutes = stream.mutes.filter(mute => !ips.includes(mute.ip));
+                    }
+
+                    stream.keepAlive = Date.now();
+                    global.streams.set(client.stream, stream);
+
+                    server.publish(client.stream, JSON.stringify({ success: true, type: data.type, stream: client.stream, username: data.username, by: client.username }));
+                    break;
+                }
+                case "transferHost": { // Give the host rights to another viewer
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+
+                    const targets = getClientsByUsername(client.stream, data.username).filter(([, target]) => !target.host);
+                    if (targets.length != 1)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This viewer isn't watching!" }));
+
+                    // Rotate the token so that the previous host can't get their rights back by rejoining
+                    stream.token = await generateRandomString(16);
+                    stream.keepAlive = Date.now();
+                    global.streams.set(client.stream, stream);
+
+                    for (const [, other] of global.websocketClients) {
+                        if (other.stream == client.stream) other.host = false;
+                    }
+
+                    const [targetWs, target] = targets[0];
+                    target.host = true;
+
+                    targetWs.send(JSON.stringify({ success: true, type: "host", stream: client.stream, token: stream.token, message: "You're now the host!" }));
+                    server.publish(client.stream, JSON.stringify({ success: true, type: data.type, stream: client.stream, username: target.username, by: client.username }));
+                    break;
+                }
+                case "message": { // Send messages
+                    const text = typeof data.message == "string" ? sanitizeMessage(data.message) : "";
+                    if (!text)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "No message!" }));
+                    if ([...text].length > limits.maxChatMessageLength)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: `Messages can't be longer than ${limits.maxChatMessageLength} characters!` }));
+                    if ((stream.mutes || []).some(mute => mute.ip == client.ip))
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're muted!" }));
+
+                    const retryAfter = chatLimiter.take(`${client.stream}:${client.ip}`);
+                    if (retryAfter)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're sending messages too fast!", retryAfter }));
+
+                    const message = addChatMessage(stream, {
+                        username: client.username,
+                        host: client.host,
+                        country: client.country,
+                        message: text
+                    });
+
+                    // Not saved right away, the chat has its own table
+                    stream.keepAlive = Date.now();
+
+                    server.publish(client.stream, JSON.stringify({ success: true, type: data.type, stream: client.stream, ...message }));
+                    break;
+                }
+                case "reaction": { // React to what's playing right now, or to a message of the chat
+                    if (!await RegexCheck.emoji(data.emoji))
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "Reactions have to be a single emoji!" }));
+                    if ((stream.mutes || []).some(mute => mute.ip == client.ip))
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're muted!" }));
+
+                    const message = data.messageId !== undefined ? getChatMessage(client.stream, data.messageId) : null;
+                    if (data.messageId !== undefined && !message)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This message doesn't exist anymore!" }));
+                    if (message?.reactions[data.emoji]?.includes(client.username))
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You already reacted with this emoji!" }));
+
+                    const retryAfter = chatLimiter.take(`${client.stream}:${client.ip}`);
+                    if (retryAfter)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're sending messages too fast!", retryAfter }));
+
+                    // Message reactions are kept with the message so that late joiners see them too
+                    if (message) {
+                        message.reactions[data.emoji] = [...(message.reactions[data.emoji] || []), client.username];
+                        saveChatMessage(client.stream, message);
+                    }
+
+                    stream.keepAlive = Date.now();
+
                     server.publish(client.stream, JSON.stringify({
                         success: true,
                         type: data.type,
+                        stream: client.stream,
                         username: client.username,
-                        host: client.host,
-                        country: client.country,
-                        message: data.message
+                        emoji: data.emoji,
+                        messageId: message?.id ?? null,
+                        position: getPlaybackPosition(stream), // Where in the video it happened, so that it can be linked to
+                        timestamp: Date.now()
                     }));
                     break;
-                /*case "stop": // Stop a stream entirely
+                }
+                case "pin": // Pin a message of the chat for everyone
+                case "unpin": { // Unpin the pinned message
+                    if (!client.host)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
+
+                    // Only its ID is saved with the stream, the message itself stays in the chat history (with its reactions)
+                    const message = data.type == "pin" ? getChatMessage(client.stream, data.messageId) : null;
+                    if (data.type == "pin" && !message)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "This message doesn't exist anymore!" }));
+                    if (data.type == "unpin" && !stream.pinnedId)
+                        return ws.send(JSON.stringify({ success: false, type: data.type, cause: "No message is pinned!" }));
+
+                    stream.pinnedId = message?.id ?? null;
+                    stream.keepAlive = Date.now();
+                    global.streams.set(client.stream, stream);
+
+                    server.publish(client.stream, JSON.stringify({ success: true, type: data.type, stream: client.stream, message, by: client.username }));
+                    break;
+                }
+                case "stop": // Stop a stream entirely
                     if (!client.host)
                         return ws.send(JSON.stringify({ success: false, type: data.type, cause: "You're not the host!" }));
- 
-                    await killStream(client.stream, stream.directory);
- 
+
                     ws.send(JSON.stringify({ success: true, type: data.type, message: "Stream stopped!" }));
-                    ws.close();
-                    break;*/
+
+                    // Also publishes the "ended" event and closes everyone's connection
+                    await killStream(client.stream, stream.directory, "stopped");
+                    break;
                 default:
                     ws.send(JSON.stringify({ success: false, type: data.type, cause: "This type doesn't exist!" }));
             }
         },
 
         // Upon closing a connection to the websocket, unsubscribe the client
-        // and delete it from the websocketClients object if it's there
+        // and delete it from the global.websocketClients object if it's there
         close(ws) {
-            if (websocketClients.has(ws)) {
-                const client = websocketClients.get(ws);
+            if (global.websocketClients.has(ws)) {
+                const client = global.websocketClients.get(ws);
                 ws.unsubscribe(client.stream);
-                websocketClients.delete(ws);
+                global.websocketClients.delete(ws);
+
+                log.debug("Client left", { stream: client.stream, ip: client.ip, username: client.username });
+
+                // Let the remaining viewers know that someone left
+                server.publish(client.stream, JSON.stringify({ success: true, type: "leave", stream: client.stream, username: client.username, host: client.host }));
             }
         }
     },
 
     error(error) {
-        log.error(`${error.stack}`);
+        log.error("Failed to handle a request", error);
         return Response.json({ success: false, cause: "Internal Server Error" }, { headers: { "Access-Control-Allow-Origin": "*" }, status: 500 });
     }
 });
 
+global.server = server; // So that utils can publish to the viewers
 log.info(`Server is now running on ${server.url}!`);
 
+
 // Check if any keep alive is expired and send info about ongoing streams
 setInterval(async () => {
     for (const [id, stream] of global.streams) {
-        let viewers = 0;
+        // One stream failing shouldn't stop the others from being checked
+        try {
+            const viewers = countViewers(id);
+
+            // If the stream has been inactive for more time than the allowed keep alive, delete it
+            if (Date.now() - stream.keepAlive > limits.maxKeepAlive) {
+                await killStream(id, stream.directory, "expired");
+                continue;
+            }
 
-        // Count viewers
-        for (const [ws, client] of websocketClients) {
-            if (client.stream == id) viewers++;
-        }
+            // VOD streams have no ffmpeg telling when they're over, so check their position instead
+            if (stream.mode == "vod" && stream.state == "started" && stream.duration && getPlaybackPosition(stream) >= stream.duration) {
+                if ((stream.queue || []).length > 0) await advanceQueue(stream);
+                else {
+                    await killStream(id, stream.directory, "finished");
+                    continue;
+                }
+            }
 
-        // If the stream has been inactive for more time than the allowed keep alive, delete it
-        if (Date.now() - stream.keepAlive > MAX_KEEP_ALIVE)
-            await killStream(global.ffmpegProcesses.get(id), stream.directory);
-
-        // Publish info to the viewers of that stream if there are people watching
-        if (viewers > 0) {
-            server.publish(id, JSON.stringify({
-                success: true,
-                type: "info",
-                stream: id,
-                state: stream.state,
-                viewers
-            }));
+            // Publish info to the viewers of that stream if there are people watching
+            if (viewers > 0) {
+                server.publish(id, JSON.stringify({
+                    success: true,
+                    type: "info",
+                    stream: id,
+                    state: stream.state,
+                    tracks: { audio: stream.audio, subtitles: stream.subtitles },
+                    viewers
+                }));
+            }
+        } catch (error) {
+            log.error("Failed to check stream", { stream: id, error: error.stack });
         }
     }
 }, 10_000); // Every 10 seconds
@@ -376,26 +1760,65 @@ setInterval(async () => {
                 if (!ffmpeg.killed) await killStream(id, join(streamsDirectory, id));
                 else global.ffmpegProcesses.delete(id); // Just not deleted from the object for some reason..?
             } catch (error) {
-                log.error(`Failed to kill ffmpeg for stream ${id}:`, error.stack);
+                log.error("Failed to kill ffmpeg", { stream: id, error: error.stack });
             }
         }
     }
 }, 60_000); // Every minute
 
-process.on("unhandledRejection", async (reason, promise) => {
-    await log.fatal(reason.stack || reason);
-    await server.stop(); // Stop the webserver
-    for (const [id, ffmpeg] of global.ffmpegProcesses) { // Let's NOT keep ongoing ffmpeg processes
-        if (!ffmpeg.killed) await killStream(id, join(streamsDirectory, id));
+// Delete the VOD transcodes that haven't been used in a while
+setInterval(async () => {
+    try {
+        await cleanupCache(limits.vodCacheTTL);
+    } catch (error) {
+        log.error("Failed to cleanup the transcoding cache", error);
+    }
+}, 60_000); // Every minute
+
+// Delete resumable uploads that haven't received anything in a while
+setInterval(async () => {
+    for (const [id, upload] of global.uploads) {
+        if (upload.busy || Date.now() - upload.updatedAt <= limits.uploadTimeout) continue;
+
+        global.uploads.delete(id);
+        try {
+            await rm(upload.directory, { recursive: true, force: true });
+            log.info("Deleted abandoned upload", { upload: id, ip: upload.owner });
+        } catch (error) {
+            log.error("Failed to delete abandoned upload", { upload: id, error: error.stack });
+        }
     }
-    process.exit(1); // Exit the program
+}, 60_000); // Every minute
+
+// Forget the rate limits of the IPs that haven't done anything in a while
+setInterval(() => {
+    uploadLimiter.cleanup();
+    messageLimiter.cleanup();
+    chatLimiter.cleanup();
+    joinLimiter.cleanup();
+}, 60_000); // Every minute
+
+// Stop every ffmpeg process without deleting the streams so that they can be resumed after a restart
+async function shutdown(code) {
+    await server.stop(true); // Stop the webserver (and close ongoing connections)
+    for (const [id] of global.ffmpegProcesses) { // Let's NOT keep ongoing ffmpeg processes
+        await suspendStream(id);
+    }
+    for (const [key, ffmpeg] of global.transcodes) { // Unfinished transcodes get started over when needed
+        ffmpeg.kill("SIGKILL");
+    }
+    process.exit(code); // Exit the program
+}
+
+process.on("SIGINT", async () => await shutdown(0));
+process.on("SIGTERM", async () => await shutdown(0));
+
+process.on("unhandledRejection", async (reason, promise) => {
+    await log.fatal("Unhandled rejection", reason);
+    await shutdown(1);
 });
 
 process.on("uncaughtException", async (error) => {
-    await log.fatal(error.stack || error);
-    await server.stop(); // Stop the webserver
-    for (const [id, ffmpeg] of global.ffmpegProcesses) { // Let's NOT keep ongoing ffmpeg processes
-        if (!ffmpeg.killed) await killStream(id, join(streamsDirectory, id));
-    }
-    process.exit(1); // Exit the program
+    await log.fatal("Uncaught exception", error);
+    await shutdown(1);
 });
\ No newline at end of file
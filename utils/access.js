@@ -0,0 +1,202 @@
+import { randomBytes, timingSafeEqual } from "crypto";
+
+import { previewFiles } from "./utilities";
+
+// How long the tokens and signed URLs giving access to a stream's playlists and segments last (in milliseconds)
+const accessTokenTTL = Number(process.env.ACCESS_TOKEN_TTL) ? Number(process.env.ACCESS_TOKEN_TTL) * 60 * 1000 : 10 * 60 * 1000; // 10 minutes
+// Whether every stream's files need a signed URL, not only the protected streams' ones
+const requireSignedUrls = process.env.SIGNED_URLS == "true";
+// How long invite codes last unless the host says otherwise (in milliseconds)
+const inviteTTL = Number(process.env.INVITE_TTL) ? Number(process.env.INVITE_TTL) * 60 * 1000 : 24 * 60 * 60 * 1000; // 24 hours
+const maxInviteTTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const maxInvites = 20; // Per stream
+
+// Hash a room password (argon2id), only the hash is ever saved
+async function hashPassword(password) {
+    return await Bun.password.hash(password);
+}
+
+// A stream needs a password or an invite code to be watched if its host set any
+function isProtected(stream) {
+    return !!stream.password || !!stream.inviteOnly;
+}
+
+// Get the invite codes of a stream that haven't expired yet
+function getInvites(stream) {
+    return (stream.invites || []).filter(invite => invite.expires > Date.now());
+}
+
+// Add an invite code to a stream (the caller saves it), returns null if it already has too many
+// (only needed to join once the stream has a password or is invite-only)
+function createInvite(stream, ttl = inviteTTL) {
+    const invites = getInvites(stream);
+    if (invites.length >= maxInvites) return null;
+
+    const invite = { code: randomBytes(9).toString("base64url"), expires: Date.now() + ttl };
+    stream.invites = [...invites, invite];
+
+    return invite;
+}
+
+// Compare two strings without leaking where they differ through timing
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(`${a}`);
+    const bufferB = Buffer.from(`${b}`);
+    return bufferA.length == bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+// Check the password or the invite code a client supplied to join a protected stream
+async function checkCredentials(stream, password, invite) {
+    if (typeof invite == "string" && getInvites(stream).some(({ code }) => safeEqual(code, invite))) return true;
+    if (typeof password == "string" && stream.password) return await Bun.password.verify(password, stream.password);
+    return false;
+}
+
+// Create the secret a stream's access tokens and URLs are signed with (not its host token, which changes with the host),
+// saved with the stream when it's created so that what's been handed out still works after a restart
+function createAccessSecret() {
+    return randomBytes(32).toString("base64url");
+}
+
+// Get the secret a stream's access tokens and URLs are signed with
+function getAccessSecret(stream) {
+    // Streams saved before they had one get it when they're restored
+    if (!stream.accessSecret) stream.accessSecret = createAccessSecret();
+    return stream.accessSecret;
+}
+
+// Sign a stream ID along with when the signature expires
+function signAccess(stream, expires) {
+    return new Bun.CryptoHasher("sha256", getAccessSecret(stream)).update(`${stream.id}.${expires}`).digest("base64url");
+}
+
+// Create a token giving access to a stream's playlists and segments until it expires
+function createAccessToken(stream) {
+    const expires = Date.now() + accessTokenTTL;
+    return { token: `${expires}.${signAccess(stream, expires)}`, expires };
+}
+
+// Check that an access token was created for this stream and hasn't expired
+function verifyAccessToken(stream, token) {
+    const [expires, signature] = `${token || ""}`.split(".");
+    if (!signature || !(Number(expires) > Date.now())) return false;
+    return safeEqual(signature, signAccess(stream, expires));
+}
+
+// Get the access token of a request (from the ?token= query parameter) if it's valid for a protected stream
+function getAccessToken(stream, request) {
+    const token = new URL(request.url).searchParams.get("token");
+    return isProtected(stream) && verifyAccessToken(stream, token) ? token : null;
+}
+
+// Check if a stream's files can only be fetched with a signed URL (or an access token for protected streams)
+function needsSignature(stream) {
+    return requireSignedUrls || isProtected(stream);
+}
+
+// Sign the path of one of a stream's files (e.g. /id/720p/segment1.ts) along with when the signature expires
+function signPath(stream, path, expires) {
+    return new Bun.CryptoHasher("sha256", getAccessSecret(stream)).update(`${path}.${expires}`).digest("base64url");
+}
+
+// Add a signature to a URI, relative to the path of the file it's in (e.g. segment1.ts in /id/720p/index.m3u8)
+function signUri(stream, uri, basePath) {
+    const path = new URL(uri, `http://localhost${basePath}`).pathname;
+    const expires = Date.now() + accessTokenTTL;
+    return `${uri}${uri.includes("?") ? "&" : "?"}expires=${expires}&signature=${signPath(stream, path, expires)}`;
+}
+
+// Create the ID a viewer's playlist URLs are tied to, they last as long as the viewer stays connected
+function createSession() {
+    return randomBytes(12).toString("base64url");
+}
+
+// Sign the path of one of a stream's playlists for a viewer's session instead of until a date
+function signSessionPath(stream, path, session) {
+    return new Bun.CryptoHasher("sha256", getAccessSecret(stream)).update(`${path}.session.${session}`).digest("base64url");
+}
+
+// Add a session's signature to a playlist's URI, relative to the path of the file it's in (e.g. 720p/index.m3u8 in /id/master.m3u8)
+function signSessionUri(stream, uri, basePath, session) {
+    const path = new URL(uri, `http://localhost${basePath}`).pathname;
+    return `${uri}${uri.includes("?") ? "&" : "?"}session=${session}&signature=${signSessionPath(stream, path, session)}`;
+}
+
+// Get the session a request's playlist URL was signed for, if the viewer it belongs to is still watching the stream
+function getSession(stream, request) {
+    const url = new URL(request.url);
+    const session = url.searchParams.get("session");
+    const signature = url.searchParams.get("signature");
+
+    if (!session || !signature || !url.pathname.endsWith(".m3u8")) return null;
+    if (!safeEqual(signature, signSessionPath(stream, url.pathname, session))) return null;
+
+    for (const [ws, client] of global.websocketClients) {
+        if (client.stream == stream.id && client.session == session) return session;
+    }
+    return null;
+}
+
+// Check that a request's URL has a signature for its own path that hasn't expired
+function verifySignedUrl(stream, request) {
+    const url = new URL(request.url);
+    const expires = url.searchParams.get("expires");
+    const signature = url.searchParams.get("signature");
+
+    if (!signature || !(Number(expires) > Date.now())) return false;
+    return safeEqual(signature, signPath(stream, url.pathname, expires));
+}
+
+// Check if a request can get one of a stream's files, with a signed URL or (for protected streams) an access token
+function canAccess(stream, request) {
+    if (!needsSignature(stream) || verifySignedUrl(stream, request) || getSession(stream, request)) return true;
+    return !!getAccessToken(stream, request);
+}
+
+// Sign every URI of a playlist on its own, so that players don't need to know about it. Segments get a new
+// signature every time the playlist is fetched, while the playlists players keep fetching again (e.g. the
+// renditions of a live stream) are signed for the viewer's session so that they don't get cut off while watching.
+// Players that got in with an access token keep it in every URI, so that they still get in once the signatures expired
+function rewritePlaylist(stream, playlist, path, session = null, token = null) {
+    const signUriOnly = (uri) => session && uri.split("?")[0].endsWith(".m3u8") ? signSessionUri(stream, uri, path, session) : signUri(stream, uri, path);
+    const sign = (uri) => token ? `${signUriOnly(uri)}&token=${encodeURIComponent(token)}` : signUriOnly(uri);
+
+    return playlist.split("\n").map(line => {
+        if (line.startsWith("#")) return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${sign(uri)}"`);
+        return line.trim() ? sign(line.trim()) : line;
+    }).join("\n");
+}
+
+// Get the URLs of a stream's master playlist and previews, signed if they need to be
+// (the master playlist for the viewer's session if they have one)
+function getStreamUrls(stream, session = null) {
+    const urls = {};
+    for (const [name, file] of Object.entries({ playlist: "master.m3u8", ...previewFiles })) {
+        if (!needsSignature(stream)) urls[name] = `/${stream.id}/${file}`;
+        else urls[name] = `/${stream.id}/${session && name == "playlist" ? signSessionUri(stream, file, `/${stream.id}/`, session) : signUri(stream, file, `/${stream.id}/`)}`;
+    }
+    return urls;
+}
+
+export {
+    accessTokenTTL,
+    maxInviteTTL,
+    maxInvites,
+    hashPassword,
+    isProtected,
+    getInvites,
+    createInvite,
+    safeEqual,
+    checkCredentials,
+    createAccessSecret,
+    getAccessSecret,
+    createAccessToken,
+    needsSignature,
+    signUri,
+    createSession,
+    getSession,
+    getAccessToken,
+    canAccess,
+    rewritePlaylist,
+    getStreamUrls
+}
\ No newline at end of file
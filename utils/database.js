@@ -0,0 +1,148 @@
+import { Database } from "bun:sqlite";
+import { mkdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+
+// Path to the SQLite database holding the stream records
+const databasePath = process.env.DATABASE_PATH || join(__dirname, "..", "data", "vidstream.sqlite");
+mkdirSync(dirname(databasePath), { recursive: true });
+
+const database = new Database(databasePath, { create: true, strict: true });
+database.run("PRAGMA journal_mode = WAL;");
+database.run(`CREATE TABLE IF NOT EXISTS streams (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated INTEGER NOT NULL
+)`);
+database.run(`CREATE TABLE IF NOT EXISTS chat_messages (
+    stream TEXT NOT NULL,
+    id INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (stream, id)
+)`);
+database.run(`CREATE TABLE IF NOT EXISTS bans (
+    ip TEXT PRIMARY KEY,
+    reason TEXT,
+    created INTEGER NOT NULL
+)`);
+database.run(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    time INTEGER NOT NULL,
+    ip TEXT,
+    action TEXT NOT NULL,
+    target TEXT,
+    details TEXT
+)`);
+
+const queries = {
+    save: database.query("INSERT INTO streams (id, data, updated) VALUES ($id, $data, $updated) ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated = excluded.updated"),
+    delete: database.query("DELETE FROM streams WHERE id = $id"),
+    all: database.query("SELECT data, updated FROM streams"),
+
+    saveMessage: database.query("INSERT INTO chat_messages (stream, id, data) VALUES ($stream, $id, $data) ON CONFLICT(stream, id) DO UPDATE SET data = excluded.data"),
+    trimMessages: database.query("DELETE FROM chat_messages WHERE stream = $stream AND id <= $before AND id != $keep"),
+    deleteMessages: database.query("DELETE FROM chat_messages WHERE stream = $stream"),
+    message: database.query("SELECT data FROM chat_messages WHERE stream = $stream AND id = $id"),
+    lastMessages: database.query("SELECT data FROM chat_messages WHERE stream = $stream ORDER BY id DESC LIMIT $limit"),
+    lastMessageId: database.query("SELECT MAX(id) AS id FROM chat_messages WHERE stream = $stream"),
+
+    saveBan: database.query("INSERT INTO bans (ip, reason, created) VALUES ($ip, $reason, $created) ON CONFLICT(ip) DO UPDATE SET reason = excluded.reason"),
+    deleteBan: database.query("DELETE FROM bans WHERE ip = $ip"),
+    allBans: database.query("SELECT ip, reason, created FROM bans"),
+
+    audit: database.query("INSERT INTO audit_log (time, ip, action, target, details) VALUES ($time, $ip, $action, $target, $details)"),
+    auditLog: database.query("SELECT id, time, ip, action, target, details FROM audit_log ORDER BY id DESC LIMIT $limit")
+};
+
+// A Map that mirrors every stream record to the database, so that
+// the usual global.streams.set()/delete() calls are enough to persist them
+class StreamStore extends Map {
+    set(id, stream) {
+        queries.save.run({ id, data: JSON.stringify(stream), updated: Date.now() });
+        return super.set(id, stream);
+    }
+
+    delete(id) {
+        queries.delete.run({ id });
+        queries.deleteMessages.run({ stream: id });
+        return super.delete(id);
+    }
+
+    // Load every record from the database (with the time it was last saved at) without saving them back
+    load() {
+        const records = [];
+        for (const { data, updated } of queries.all.all()) {
+            const stream = JSON.parse(data);
+            super.set(stream.id, stream);
+            records.push({ stream, updated });
+        }
+        return records;
+    }
+}
+
+// A Map of the IPs banned from the whole server (IP -> { ip, reason, created }), mirrored to the database like StreamStore
+class BanStore extends Map {
+    set(ip, ban) {
+        queries.saveBan.run({ ip, reason: ban.reason, created: ban.created });
+        return super.set(ip, ban);
+    }
+
+    delete(ip) {
+        queries.deleteBan.run({ ip });
+        return super.delete(ip);
+    }
+
+    load() {
+        for (const ban of queries.allBans.all()) super.set(ban.ip, ban);
+        return this;
+    }
+}
+
+// Save a chat message of a stream, new or with new reactions (apart from the stream record,
+// so that chatting doesn't rewrite the whole record every time)
+function saveChatMessage(stream, message) {
+    queries.saveMessage.run({ stream, id: message.id, data: JSON.stringify(message) });
+}
+
+// Forget the messages of a stream older than the last `size` ones (except the pinned one)
+function trimChatHistory(stream, size, pinnedId = null) {
+    queries.trimMessages.run({ stream, before: getLastMessageId(stream) - size, keep: pinnedId ?? -1 });
+}
+
+// Get a chat message of a stream, or null if it's been forgotten
+function getChatMessage(stream, id) {
+    const row = Number.isInteger(id) ? queries.message.get({ stream, id }) : null;
+    return row ? JSON.parse(row.data) : null;
+}
+
+// Get the last messages of a stream, oldest first
+function getChatHistory(stream, size) {
+    return queries.lastMessages.all({ stream, limit: size }).map(row => JSON.parse(row.data)).reverse();
+}
+
+// Get the ID of a stream's last message, or 0 if nobody said anything yet
+function getLastMessageId(stream) {
+    return queries.lastMessageId.get({ stream })?.id || 0;
+}
+
+// Record something an admin did
+function addAuditEntry(ip, action, target = null, details = null) {
+    queries.audit.run({ time: Date.now(), ip, action, target, details: details === null ? null : JSON.stringify(details) });
+}
+
+// Get the last entries of the audit log, newest first
+function getAuditLog(limit = 100) {
+    return queries.auditLog.all({ limit }).map(entry => ({ ...entry, details: entry.details === null ? null : JSON.parse(entry.details) }));
+}
+
+export {
+    database,
+    StreamStore,
+    BanStore,
+    saveChatMessage,
+    trimChatHistory,
+    getChatMessage,
+    getChatHistory,
+    getLastMessageId,
+    addAuditEntry,
+    getAuditLog
+}
\ No newline at end of file
@@ -1,61 +1,71 @@
 import { randomBytes } from "crypto";
 import ffmpegBinary from "ffmpeg-static";
 import ffprobeBinary from "ffprobe-static";
-import { mkdir, rmdir, stat } from "node:fs/promises";
-import { join, parse } from "node:path";
-
-import { encoderArgs, maxFramerate, maxResolution, resolutions } from "./utilities";
-
-// Simplified logging functions
-const log = {
-    // Log a fatal error
-    fatal: async (message, fatal) => {
-        console.error(`[FATAL] ${message}${fatal ? ` ${fatal}` : ""}`);
-    },
-
-    // Log an error
-    error: async (message, error) => {
-        console.error(`[ERROR] ${message}${error ? ` ${error}` : ""}`);
-    },
-
-    // Log a warning
-    warn: async (message, warn) => {
-        console.warn(`[WARN] ${message}${warn ? ` ${warn}` : ""}`);
-    },
-
-    // Log an info
-    info: async (message, info) => {
-        console.info(`[INFO] ${message}${info ? ` ${info}` : ""}`);
-    },
-
-    // Log a debug info
-    debug: async (message, debug) => {
-        console.debug(`[DEBUG] ${message}${debug ? ` ${debug}` : ""}`);
-    },
-
-    // Log a trace info
-    trace: async (message, trace) => {
-        console.trace(`[TRACE] ${message}${trace ? ` ${trace}` : ""}`);
-    }
-};
+import { mkdir, readdir, rename, rm, stat, utimes } from "node:fs/promises";
+import { basename, join, parse } from "node:path";
+
+import { audioCodecs, channelLayouts, encoderArgs, encoderPreset, videoCodecs, maxFfmpegProcesses, maxFramerate, maxUploadFfmpegProcesses, maxResolution, previewFiles, renditionLadder, resolutions, textSubtitleCodecs, trustProxy, trustProxyUnset, videoLimits } from "./utilities";
+import { metrics } from "./metrics";
+import { log } from "./logger";
+import { getProfile } from "./profiles";
+import { parseIP, RegexCheck } from "./security";
+import { getAccessSecret, getStreamUrls, isProtected, needsSignature } from "./access";
+
+// Where VOD streams get transcoded to, shared between the streams playing the same video
+const cacheDirectory = join(__dirname, "..", "cache");
+
+// Streams whose ffmpeg is being replaced by a new one, so that their slot isn't given to a queued job in the meantime
+const restartingStreams = new Set();
+// Slots taken by an ffmpeg that's about to be started, so that concurrent starts can't all get the last free one
+let reservedSlots = 0;
+// Transcodes getting their directory ready before ffmpeg starts, by cache key, so that another stream playing the same video waits for them
+const startingTranscodes = new Map();
+// The ffmpeg processes run for uploads (remuxing, previews, subtitles) have their own limit, with the ones waiting for a turn
+let runningUploadJobs = 0;
+const uploadJobQueue = [];
+
+// How often the viewers get told how the encoding is going (in milliseconds)
+const progressInterval = 5000;
+
+// Send a message to every client watching a stream
+function publish(id, message) {
+    global.server?.publish(id, JSON.stringify(message));
+}
+
+// Get the token from an "Authorization: Bearer <token>" header
+async function getBearerToken(request) {
+    const authorization = request.headers.get("authorization");
+    if (!authorization?.startsWith("Bearer ")) return null;
+    return authorization.slice(7).trim();
+}
+
+// Only warned about once, not on every request
+let warnedAboutProxy = false;
 
 async function getClientIP(request) {
     const headers = request.headers
 
-    // Start by checking if Cloudflare forwarded the IP
-    let cfConnectingIP = headers.get("cf-connecting-ip");
-    if (cfConnectingIP) return cfConnectingIP;
+    // Anyone can send these headers, so they only mean something if a trusted proxy set them
+    if (trustProxy) {
+        // Start by checking if Cloudflare forwarded the IP
+        let cfConnectingIP = headers.get("cf-connecting-ip");
+        if (cfConnectingIP) return cfConnectingIP;
 
-    // Check if NGINX X-Real-IP is supplied if not
-    let xRealIP = headers.get("x-real-ip");
-    if (xRealIP) return xRealIP;
+        // Check if NGINX X-Real-IP is supplied if not
+        let xRealIP = headers.get("x-real-ip");
+        if (xRealIP) return xRealIP;
 
-    // If not then also check if NGINX has supplied X-Forwarded-For, and return the first IP of the list
-    let xForwardedFor = headers.get("x-forwarded-for");
-    if (xForwardedFor) return xForwardedFor.split(",")[0].trim();
+        // If not then also check if NGINX has supplied X-Forwarded-For, and return the first IP of the list
+        let xForwardedFor = headers.get("x-forwarded-for");
+        if (xForwardedFor) return xForwardedFor.split(",")[0].trim();
+    } else if (trustProxyUnset && !warnedAboutProxy && ["cf-connecting-ip", "x-real-ip", "x-forwarded-for"].some(header => headers.has(header))) {
+        // Behind a proxy, every client would share its IP (and its rate limits, quotas and bans)
+        warnedAboutProxy = true;
+        log.warn("Got a request with forwarded client IP headers but TRUST_PROXY isn't set, so they're ignored and every client is seen with the proxy's IP! Set TRUST_PROXY=true if the server is behind a reverse proxy, or false to hide this warning");
+    }
 
-    // If none of them are supplied, just supply the original address in the request
-    return request.remoteAddr;
+    // If none of them are supplied, just supply the address the request came from
+    return global.server?.requestIP(request)?.address || null;
 }
 
 async function exists(path) {
@@ -67,6 +77,34 @@ async function exists(path) {
     }
 }
 
+// Get the size of everything in a directory (in bytes), 0 if it doesn't exist
+async function getDirectorySize(path) {
+    let size = 0;
+    try {
+        for (const entry of await readdir(path, { withFileTypes: true })) {
+            const entryPath = join(path, entry.name);
+            size += entry.isDirectory() ? await getDirectorySize(entryPath) : (await stat(entryPath).catch(() => ({ size: 0 }))).size;
+        }
+    } catch {
+        return 0;
+    }
+    return size;
+}
+
+// Write an IP address the same way however it was given (IPv4 mapped to IPv6 as IPv4, IPv6 without shortening), null if it isn't one
+function normalizeIP(ip) {
+    const bytes = typeof ip == "string" ? parseIP(ip.trim()) : null;
+    if (!bytes) return null;
+
+    if (bytes.length == 16 && bytes.subarray(0, 10).every(byte => byte == 0) && bytes[10] == 0xff && bytes[11] == 0xff)
+        return bytes.subarray(12).join(".");
+    if (bytes.length == 4) return bytes.join(".");
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i).toString(16));
+    return groups.join(":");
+}
+
 async function generateRandomString(length = 32) {
     const charset = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
     const charsetLength = charset.length;
@@ -108,13 +146,13 @@ function parseFramerate(framerate) {
     return fps;
 }
 
-async function getVideoMetadata(videoFilePath) {
+// Get what ffprobe knows about every stream of a file
+async function probeFile(videoFilePath) {
     const proc = Bun.spawn({
         cmd: [
             ffprobeBinary.path,
             "-v", "error",
-            "-select_streams", "v:0",
-            "-show_entries", "stream=width,height,avg_frame_rate",
+            "-show_entries", "stream=codec_type,codec_name,width,height,avg_frame_rate,channels:stream_tags=language,title:stream_disposition=default,attached_pic:format=duration,nb_streams",
             "-of", "json",
             videoFilePath
         ],
@@ -137,16 +175,156 @@ async function getVideoMetadata(videoFilePath) {
         throw new Error(`Failed to parse ffprobe JSON:\n${stdoutText}`);
     }
 
-    const stream = output.streams?.[0];
+    return { streams: output.streams || [], format: output.format || {} };
+}
+
+// Get the main video stream of a probed file (cover art is a video stream too)
+function getVideoStream(output) {
+    return output.streams.find(stream => stream.codec_type == "video" && stream.disposition?.attached_pic != 1) || null;
+}
+
+async function getVideoMetadata(videoFilePath) {
+    const output = await probeFile(videoFilePath);
+
+    const stream = getVideoStream(output);
     if (!stream) throw new Error("No video stream found");
 
+    // Every audio and subtitle stream, indexed the same way as ffmpeg's 0:a:N and 0:s:N
+    const audio = output.streams
+        .filter(stream => stream.codec_type == "audio")
+        .map((stream, index) => ({
+            index,
+            codec: stream.codec_name,
+            channels: stream.channels,
+            language: stream.tags?.language || "und",
+            title: stream.tags?.title || null,
+            default: stream.disposition?.default == 1
+        }));
+
+    const subtitles = output.streams
+        .filter(stream => stream.codec_type == "subtitle")
+        .map((stream, index) => ({
+            index,
+            codec: stream.codec_name,
+            language: stream.tags?.language || "und",
+            title: stream.tags?.title || null,
+            default: stream.disposition?.default == 1
+        }));
+
     return {
         width: stream.width,
         height: stream.height,
-        framerate: parseFramerate(stream.avg_frame_rate)
+        framerate: parseFramerate(stream.avg_frame_rate),
+        duration: Number(output.format?.duration) || 0,
+        audio,
+        subtitles
     };
 }
 
+// Check the streams of a probed file against videoLimits, returns why it's rejected (see videoRejections) or null
+function checkVideoStreams(output) {
+    const video = getVideoStream(output);
+    if (!video) return "no_video";
+    if (!video.codec_name || video.codec_name == "none") return "unsupported_codec";
+    if ((Number(output.format.nb_streams) || output.streams.length) > videoLimits.maxStreams) return "too_many_streams";
+
+    if (!(video.width >= videoLimits.minWidth && video.height >= videoLimits.minHeight)) return "resolution_too_small";
+    if (video.width > videoLimits.maxWidth || video.height > videoLimits.maxHeight) return "resolution_too_large";
+
+    if (videoLimits.requireAudio && !output.streams.some(stream => stream.codec_type == "audio")) return "no_audio";
+
+    return null;
+}
+
+// Run an upload's ffmpeg process once there's room for it, so that a burst of uploads can't start an unbounded number of them
+async function runUploadJob(job) {
+    if (runningUploadJobs < maxUploadFfmpegProcesses) runningUploadJobs++;
+    else await new Promise(resolve => uploadJobQueue.push(resolve));
+
+    try {
+        return await job();
+    } finally {
+        // Hand the slot over to the next job waiting for one
+        const next = uploadJobQueue.shift();
+        if (next) next();
+        else runningUploadJobs--;
+    }
+}
+
+// Copy the video, audio and text subtitle streams of an upload into a new Matroska file,
+// leaving out its metadata, chapters, attachments (fonts...), data streams and cover art
+async function remuxVideo(input, output, source) {
+    // Only the language and title of the tracks are kept, as they're shown to the viewers
+    const trackArgs = (type, streams) => streams.flatMap((stream, i) => [
+        ...(stream.tags?.language ? [`-metadata:s:${type}:${i}`, `language=${stream.tags.language}`] : []),
+        ...(stream.tags?.title ? [`-metadata:s:${type}:${i}`, `title=${stream.tags.title}`] : [])
+    ]);
+
+    const audio = source.streams.filter(stream => stream.codec_type == "audio");
+    const subtitles = source.streams.filter(stream => stream.codec_type == "subtitle");
+    const textSubtitles = subtitles.filter(stream => textSubtitleCodecs.includes(stream.codec_name));
+
+    const proc = Bun.spawn({
+        cmd: [
+            ffmpegBinary,
+            "-v", "error",
+            "-i", input,
+            "-map", "0:V:0",
+            "-map", "0:a?",
+            ...textSubtitles.flatMap(stream => ["-map", `0:s:${subtitles.indexOf(stream)}`]),
+            "-map_metadata", "-1",
+            "-map_chapters", "-1",
+            "-c", "copy",
+            ...textSubtitles.flatMap((stream, i) => stream.codec_name == "mov_text" ? [`-c:s:${i}`, "srt"] : []), // MP4's subtitles can't be in Matroska
+            ...trackArgs("a", audio),
+            ...trackArgs("s", textSubtitles),
+            "-y",
+            output
+        ],
+        stdout: "ignore",
+        stderr: "pipe"
+    });
+
+    const exitCode = await proc.exited;
+    if (exitCode !== 0) log.debug("Failed to remux an upload", { error: (await new Response(proc.stderr).text()).trim() });
+    return exitCode === 0;
+}
+
+// Probe an upload, reject it if it's not a video that can be streamed, then remux it to output
+// Returns why it got rejected (see videoRejections) or null if output is ready to be streamed
+async function sanitizeVideo(input, output) {
+    let source;
+    try {
+        source = await probeFile(input);
+    } catch {
+        return "unreadable";
+    }
+
+    const rejection = checkVideoStreams(source);
+    if (rejection) return rejection;
+
+    // Remuxing reads the whole file, so a truncated or corrupted one is found out now rather than once it's started
+    if (!await runUploadJob(() => remuxVideo(input, output, source))) return "corrupted";
+
+    let remuxed;
+    try {
+        remuxed = await probeFile(output);
+    } catch {
+        return "corrupted";
+    }
+
+    // The duration's only known for sure once remuxed (browsers' recordings don't have any)
+    const duration = Number(remuxed.format.duration) || 0;
+    if (duration <= 0) return "no_duration";
+    if (duration > videoLimits.maxDuration) return "too_long";
+
+    // ffmpeg copies what it can of a truncated file without failing, so it ends up shorter than it says it is
+    const declaredDuration = Number(source.format.duration) || 0;
+    if (declaredDuration - duration > Math.max(1, declaredDuration * 0.05)) return "corrupted";
+
+    return checkVideoStreams(remuxed);
+}
+
 async function getBestQuality(width, height) {
     const isPortrait = width < height;
     if (isPortrait) [width, height] = [height, width];
@@ -202,82 +380,984 @@ async function getBestBitrate(width, height, framerate) {
     }
 }
 
-async function startStream(stream) {
-    const { id, video, directory, width, height, fps, bitrate } = stream;
+// Scale a bitrate like "5000k" (codecs more efficient than H.264 need less of it)
+function scaleBitrate(bitrate, factor) {
+    return `${Math.round(parseInt(bitrate) * factor)}k`;
+}
 
-    await mkdir(directory, { recursive: true, force: true });
+// Get every rendition of the ladder from 720p up to the stream's best quality
+async function getRenditions(width, height, framerate, bitrateFactor = 1) {
+    const isPortrait = width < height;
+    if (isPortrait) [width, height] = [height, width];
 
-    const ffmpeg = Bun.spawn({
-        cmd: [
-            ffmpegBinary,
-            "-loglevel", "error",
-            "-re",
-            "-i", video,
-            "-vf", `scale=${width}x${height}`,
-            "-r", `${fps}`,
-            ...encoderArgs,
-            "-b:v", `${bitrate}`,
-            "-g", `${fps * 2}`,
-            "-keyint_min", `${fps * 2}`,
-            "-sc_threshold", "0",
-            "-c:a", "aac",
-            "-b:a", "128k",
-            "-f", "hls",
-            "-hls_time", "2",
-            "-hls_list_size", "6",
-            "-hls_flags", "delete_segments",
-            join(directory, "index.m3u8"),
-        ],
-        stdout: "pipe",
-        stderr: "pipe",
+    const renditions = [];
+    for (const rendition of renditionLadder) {
+        if (resolutions[rendition.name] > maxResolution) break;
+        if (rendition.width > width || rendition.height > height) break;
+
+        renditions.push({
+            name: rendition.name,
+            width: isPortrait ? rendition.height : rendition.width,
+            height: isPortrait ? rendition.width : rendition.height,
+            bitrate: scaleBitrate(await getBestBitrate(rendition.width, rendition.height, framerate), bitrateFactor)
+        });
+    }
+
+    return renditions;
+}
+
+// Get the audio and subtitle tracks that can be part of a stream's HLS output
+async function getTracks(metadata) {
+    const defaultAudio = Math.max(metadata.audio.findIndex(track => track.default), 0);
+
+    // Languages come from the file's tags and end up in ffmpeg's var_stream_map, where a comma or a space would break it
+    const getLanguage = async (track) => await RegexCheck.language(track.language) ? track.language : "und";
+
+    return {
+        audio: await Promise.all(metadata.audio.map(async (track, i) => ({
+            ...track,
+            language: await getLanguage(track),
+            name: `audio_${i}`,
+            default: i == defaultAudio
+        }))),
+        subtitles: await Promise.all(metadata.subtitles
+            .filter(track => textSubtitleCodecs.includes(track.codec))
+            .map(async (track, i) => ({ ...track, language: await getLanguage(track), name: `subtitles_${i}` })))
+    };
+}
+
+// Get where a subtitle file uploaded by the host is saved
+function getExternalSubtitlesPath(stream, track) {
+    return join(stream.directory, "subtitles", `${track.name}.vtt`);
+}
+
+// Convert a subtitle file (SRT, ASS, WebVTT...) to WebVTT, returns false if ffmpeg couldn't read it
+async function convertSubtitles(input, output) {
+    await mkdir(parse(output).dir, { recursive: true });
+
+    return await runUploadJob(async () => {
+        const proc = Bun.spawn({
+            cmd: [
+                ffmpegBinary,
+                "-loglevel", "error",
+                "-y",
+                "-i", input,
+                "-map", "0:s:0",
+                "-c:s", "webvtt",
+                "-f", "webvtt",
+                output
+            ],
+            stdout: "ignore",
+            stderr: "pipe"
+        });
+
+        const exitCode = await proc.exited;
+        if (exitCode !== 0) {
+            log.warn("Failed to convert subtitles", { input, error: await new Response(proc.stderr).text() });
+            return false;
+        }
+        return true;
     });
+}
 
-    (async () => {
+// Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+function formatTimestamp(seconds) {
+    const milliseconds = Math.round(seconds * 1000);
+    const hours = Math.floor(milliseconds / 3_600_000);
+    const minutes = Math.floor(milliseconds / 60_000) % 60;
+    const secs = Math.floor(milliseconds / 1000) % 60;
+
+    return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${String(secs).padStart(2, "0")}.${String(milliseconds % 1000).padStart(3, "0")}`;
+}
+
+// Run ffmpeg for an upload until it exits, throws with its output if it fails
+async function runFfmpeg(args) {
+    await runUploadJob(async () => {
+        const proc = Bun.spawn({
+            cmd: [ffmpegBinary, "-loglevel", "error", "-y", ...args],
+            stdout: "ignore",
+            stderr: "pipe"
+        });
+
+        const exitCode = await proc.exited;
+        if (exitCode !== 0) throw new Error(`ffmpeg failed:\n${await new Response(proc.stderr).text() || "(no stderr output)"}`);
+    });
+}
+
+// Generate a poster, a sprite sheet of thumbnails and the WebVTT track pointing into it
+async function generatePreviews(stream) {
+    const { video, directory, width, height, duration } = stream;
+
+    const THUMBNAIL_WIDTH = 160;
+    const THUMBNAIL_HEIGHT = Math.round(THUMBNAIL_WIDTH * height / width / 2) * 2;
+    const SPRITE_COLUMNS = 10;
+    const MAX_THUMBNAILS = 100;
+    const MIN_INTERVAL = 5; // In seconds
+
+    // Take the poster a bit after the beginning to skip black frames and intros
+    await runFfmpeg([
+        "-ss", `${duration * 0.1}`,
+        "-i", video,
+        "-frames:v", "1",
+        "-vf", `scale=${Math.min(width, 1280)}:-2`,
+        "-q:v", "3",
+        join(directory, previewFiles.poster)
+    ]);
+
+    if (!duration) return;
+
+    // Spread the thumbnails over the whole video so that they fit in a single sprite
+    // (select keeps the first frame of every interval so that they match the WebVTT cues)
+    const interval = Math.max(MIN_INTERVAL, duration / MAX_THUMBNAILS);
+    const count = Math.ceil(duration / interval);
+    const rows = Math.ceil(count / SPRITE_COLUMNS);
+
+    await runFfmpeg([
+        "-i", video,
+        "-frames:v", "1",
+        "-vf", `select='isnan(prev_selected_t)+gte(t-prev_selected_t,${interval})',scale=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT},tile=${SPRITE_COLUMNS}x${rows}`,
+        "-q:v", "5",
+        join(directory, previewFiles.sprite)
+    ]);
+
+    let track = "WEBVTT\n";
+    for (let i = 0; i < count; i++) {
+        const x = (i % SPRITE_COLUMNS) * THUMBNAIL_WIDTH;
+        const y = Math.floor(i / SPRITE_COLUMNS) * THUMBNAIL_HEIGHT;
+
+        track += `\n${formatTimestamp(i * interval)} --> ${formatTimestamp(Math.min((i + 1) * interval, duration))}\n`;
+        track += `${previewFiles.sprite}#xywh=${x},${y},${THUMBNAIL_WIDTH},${THUMBNAIL_HEIGHT}\n`;
+    }
+
+    await Bun.write(join(directory, previewFiles.thumbnails), track);
+}
+
+// Get the name of every variant playlist (and directory) of a stream
+function getVariantNames(stream) {
+    return [...stream.renditions, ...(stream.audio || []), ...(stream.subtitles || [])].map(({ name }) => name);
+}
+
+// Get the current playback position of a stream (in seconds)
+function getPlaybackPosition(stream) {
+    const position = stream.position || 0;
+    if (stream.state != "started" || !stream.resumedAt) return position;
+
+    const elapsed = (Date.now() - stream.resumedAt) / 1000;
+    return stream.duration ? Math.min(position + elapsed, stream.duration) : position + elapsed;
+}
+
+// Get the playback state that gets sent to the viewers
+function getPlaybackState(stream) {
+    return {
+        stream: stream.id,
+        state: stream.state,
+        position: getPlaybackPosition(stream),
+        duration: stream.duration,
+        timestamp: Date.now()
+    };
+}
+
+// Get the fields of a stream that anyone can see (never the token or paths)
+function getStreamInfo(stream) {
+    return {
+        id: stream.id,
+        state: stream.state,
+        mode: stream.mode || "live",
+        public: stream.public || false,
+        protected: isProtected(stream), // Needs a password or an invite code
+        width: stream.width,
+        height: stream.height,
+        fps: stream.fps,
+        bitrate: stream.bitrate,
+        duration: stream.duration,
+        position: getPlaybackPosition(stream),
+        renditions: stream.renditions,
+        profile: getProfile(stream.profile).name,
+        tracks: { audio: stream.audio || [], subtitles: stream.subtitles || [] },
+        previews: stream.previews || false,
+        // Signed ones are only given to the viewers who joined (otherwise anyone could get new ones to hotlink the files)
+        urls: needsSignature(stream) ? null : getStreamUrls(stream),
+        timestamp: stream.timestamp
+    };
+}
+
+// Get the ffmpeg arguments to encode the video and audio with an encoding profile
+function getEncoderArgs(profile) {
+    // x264 profiles keep using the encoder (and preset) from the environment, which may be a hardware one
+    const videoArgs = profile.codec == "x264" && !profile.preset ? encoderArgs : [
+        "-c:v", videoCodecs[profile.codec].encoder,
+        "-preset", profile.preset || videoCodecs[profile.codec].preset || encoderPreset,
+        ...videoCodecs[profile.codec].args
+    ];
+    const audioArgs = [
+        "-c:a", audioCodecs[profile.audio.codec].encoder,
+        "-b:a", profile.audio.bitrate,
+        ...(profile.audio.channels ? ["-ac", `${channelLayouts[profile.audio.channels]}`] : [])
+    ];
+
+    return [...videoArgs, ...(usesCrf(profile) ? ["-crf", `${profile.crf}`] : []), ...audioArgs];
+}
+
+// Check if a profile encodes with a constant quality (hardware encoders can only do bitrates)
+function usesCrf(profile) {
+    return profile.mode == "crf" && !(profile.codec == "x264" && !profile.preset && !encoderArgs.includes("libx264"));
+}
+
+// Get the ffmpeg arguments to transcode a stream's video to HLS, either
+// in real time from the current position (live) or all at once (VOD)
+function getHlsArgs(stream, outputDirectory, live) {
+    const { video, fps, renditions } = stream;
+    const profile = getProfile(stream.profile);
+    const audio = stream.audio || [];
+    const subtitles = stream.subtitles || [];
+    const seekArgs = live ? ["-ss", `${stream.position || 0}`] : []; // Start from the current playback position
+
+    // Subtitle files uploaded by the host are extra inputs that come after the video
+    const externalSubtitles = subtitles.filter(track => track.external);
+    const inputArgs = externalSubtitles.flatMap(track => [...seekArgs, "-i", getExternalSubtitlesPath(stream, track)]);
+
+    // Split the video into one scaled output per rendition
+    const filters = [
+        `[0:v:0]split=${renditions.length}${renditions.map((_, i) => `[v${i}]`).join("")}`,
+        ...renditions.map(({ width, height }, i) => `[v${i}]scale=${width}x${height}[v${i}out]`)
+    ];
+
+    // Every rendition shares the same audio and subtitle tracks, which get their own playlists
+    // With a constant quality, the rendition's bitrate is only a cap so that players can still pick the right one
+    const outputArgs = [
+        ...renditions.flatMap(({ bitrate }, i) => usesCrf(profile)
+            ? ["-map", `[v${i}out]`, `-maxrate:v:${i}`, `${bitrate}`, `-bufsize:v:${i}`, scaleBitrate(bitrate, 2)]
+            : ["-map", `[v${i}out]`, `-b:v:${i}`, `${bitrate}`]),
+        ...audio.flatMap(({ index }) => ["-map", `0:a:${index}`]),
+        ...subtitles.flatMap(track => ["-map", track.external ? `${externalSubtitles.indexOf(track) + 1}:s:0` : `0:s:${track.index}`])
+    ];
+
+    // Tell the HLS muxer which streams belong to which variant playlist
+    const groups = `${audio.length > 0 ? ",agroup:audio" : ""}${subtitles.length > 0 ? ",sgroup:subtitles" : ""}`;
+    const variantStreamMap = [
+        ...renditions.map(({ name }, i) => `v:${i}${groups},name:${name}`),
+        ...audio.map((track, i) => `a:${i},agroup:audio,language:${track.language},name:${track.name}${track.default ? ",default:yes" : ""}`),
+        ...subtitles.map((track, i) => `s:${i},sgroup:subtitles,language:${track.language},name:${track.name}`)
+    ].join(" ");
+
+    // HEVC, AV1 and Opus need fMP4 segments (with an init segment in every variant's directory)
+    const segmentArgs = profile.fmp4
+        ? ["-hls_segment_type", "fmp4", "-hls_fmp4_init_filename", "init.mp4", "-hls_segment_filename", join(outputDirectory, "%v", "segment%d.m4s")]
+        : ["-hls_segment_filename", join(outputDirectory, "%v", "segment%d.ts")];
+
+    // Live streams only keep the last few segments, VOD ones keep everything
+    const playlistArgs = live
+        ? ["-hls_list_size", "6", "-hls_flags", "delete_segments+append_list+discont_start"] // Keep the playlist going when resuming or seeking
+        : ["-hls_list_size", "0", "-hls_playlist_type", "event"]; // Playable while it's being transcoded
+
+    return [
+        ...(live ? ["-re"] : []),
+        ...seekArgs,
+        "-i", video,
+        ...inputArgs,
+        "-filter_complex", filters.join(";"),
+        ...outputArgs,
+        "-r", `${fps}`,
+        ...getEncoderArgs(profile),
+        "-g", `${fps * profile.segmentLength}`, // A keyframe at the start of every segment
+        "-keyint_min", `${fps * profile.segmentLength}`,
+        "-sc_threshold", "0",
+        "-c:s", "webvtt",
+        "-f", "hls",
+        "-hls_time", `${profile.segmentLength}`,
+        ...playlistArgs,
+        "-master_pl_name", "master.m3u8",
+        ...segmentArgs,
+        "-var_stream_map", variantStreamMap,
+        join(outputDirectory, "%v", "index.m3u8"),
+    ];
+}
+
+// Severity of ffmpeg's messages (with -loglevel level+warning, every line starts with it)
+const ffmpegLogLevels = {
+    panic: "error",
+    fatal: "error",
+    error: "error",
+    warning: "warn",
+    info: "info",
+    verbose: "debug",
+    debug: "debug",
+    trace: "trace"
+};
+
+// Log every line ffmpeg writes to stderr with its own severity and keep the last error in ffmpeg.lastError,
+// returns a promise resolving once everything's been read
+function logFfmpegOutput(ffmpeg, logger) {
+    return (async () => {
         const reader = ffmpeg.stderr.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+
         try {
             while (true) {
                 const { value, done } = await reader.read();
                 if (done) break;
-                if (value) {
-                    const chunk = new TextDecoder().decode(value);
-                    log.error(`[ffmpeg:${id}] ${chunk}`);
+                if (!value) continue;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split("\n");
+                buffer = lines.pop(); // Might not be complete yet
+
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+
+                    // e.g. "[libx264 @ 0x5581] [warning] ..." or "[error] ..."
+                    const [, source, level, message] = line.match(/^(.*?)\s*\[(panic|fatal|error|warning|info|verbose|debug|trace)\]\s*(.*)$/) || [];
+                    const severity = level ? ffmpegLogLevels[level] : "error";
+                    logger[severity](`ffmpeg: ${level ? `${source} ${message}`.trim() : line}`);
+                    if (severity == "error") ffmpeg.lastError = line;
                 }
             }
         } catch (error) {
-            log.error(`[ffmpeg:${id} stderr read error]:`, error);
+            logger.error("Failed to read ffmpeg's output", error);
         } finally {
             reader.releaseLock();
         }
     })();
+}
 
-    ffmpeg.exited.then(async ({ code, signal }) => {
-        if (code !== 0 && code !== undefined)
-            log.error(`[ffmpeg ${id} exited with code ${code}, signal ${signal}]`);
+// Keep the last progress report ffmpeg wrote to stdout (with -progress pipe:1) in ffmpeg.progress
+// and pass it to onProgress, at most once per progressInterval
+function readFfmpegProgress(ffmpeg, onProgress = null) {
+    (async () => {
+        const reader = ffmpeg.stdout.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+        let fields = {};
+        let reportedAt = 0;
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                if (!value) continue;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split("\n");
+                buffer = lines.pop(); // Might not be complete yet
+
+                for (const line of lines) {
+                    const separator = line.indexOf("=");
+                    if (separator == -1) continue;
+                    fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+
+                    // Every report ends with its progress line (continue or end)
+                    if (line.startsWith("progress=")) {
+                        ffmpeg.progress = {
+                            frame: Number(fields.frame) || 0,
+                            time: (Number(fields.out_time_us ?? fields.out_time_ms) || 0) / 1_000_000, // In seconds, both are in microseconds
+                            speed: parseFloat(fields.speed) || 0, // "1.5x" or "N/A" at first
+                            fps: parseFloat(fields.fps) || 0,
+                            dropped: Number(fields.drop_frames) || 0,
+                            duplicated: Number(fields.dup_frames) || 0
+                        };
+                        fields = {};
+
+                        if (onProgress && Date.now() - reportedAt >= progressInterval) {
+                            reportedAt = Date.now();
+                            onProgress(ffmpeg.progress);
+                        }
+                    }
+                }
+            }
+        } catch (error) {
+            log.error("Failed to read ffmpeg's progress", error);
+        } finally {
+            reader.releaseLock();
+        }
+    })();
+}
+
+// Get the progress event sent to the viewers (time is where the encoder is in the video, in seconds)
+function getProgressInfo(id, job, progress, startPosition, duration) {
+    return {
+        success: true,
+        type: "progress",
+        stream: id,
+        job,
+        time: startPosition + progress.time,
+        duration,
+        speed: progress.speed,
+        fps: progress.fps,
+        dropped: progress.dropped,
+        duplicated: progress.duplicated,
+        healthy: job != "live" || progress.speed == 0 || progress.speed >= 0.9 // Live streams stutter when ffmpeg can't keep up with real time
+    };
+}
+
+// Find out why ffmpeg failed from how it exited and the last error it logged, to tell the viewers
+function getFfmpegFailure(ffmpeg) {
+    const lastError = ffmpeg.lastError || "";
+
+    if (ffmpeg.signalCode)
+        return { reason: "killed", message: "The encoder got killed, the server may be out of memory!" };
+    if (/No space left on device/i.test(lastError))
+        return { reason: "disk", message: "The server ran out of disk space!" };
+    if (/Invalid data found|moov atom not found|Error while decoding|could not find codec parameters/i.test(lastError))
+        return { reason: "input", message: "The video couldn't be decoded, it may be corrupted!" };
+    if (/Unknown encoder|Error initializing output stream|Error while opening encoder|encoding failed/i.test(lastError))
+        return { reason: "encoder", message: "The video couldn't be encoded with this stream's profile!" };
+    return { reason: "failed", message: "The encoder stopped unexpectedly!" };
+}
+
+// Hash a file without loading it entirely in memory
+async function hashFile(path) {
+    const hasher = new Bun.CryptoHasher("sha256");
+    for await (const chunk of Bun.file(path).stream()) hasher.update(chunk);
+    return hasher.digest("hex");
+}
+
+// Get the key of a VOD stream's transcoded output, which only depends on the video and how it's
+// transcoded, so that every stream playing the same video with the same settings shares it
+async function getCacheKey(stream) {
+    if (!stream.hash) stream.hash = await hashFile(stream.video);
+
+    const hasher = new Bun.CryptoHasher("sha256");
+    hasher.update(JSON.stringify({
+        hash: stream.hash,
+        fps: stream.fps,
+        renditions: stream.renditions,
+        audio: (stream.audio || []).map(track => track.index),
+        subtitles: (stream.subtitles || []).map(track => track.external ? track.hash : track.index),
+        profile: getProfile(stream.profile),
+        encoderArgs
+    }));
+    return hasher.digest("hex");
+}
+
+// Get the directory the HLS output of a stream is written to
+function getOutputDirectory(stream) {
+    return stream.mode == "vod" && stream.cacheKey ? join(cacheDirectory, stream.cacheKey) : stream.directory;
+}
+
+// Transcode a VOD stream's video in the background (faster than real time) unless it's already cached
+async function transcodeStream(stream) {
+    const key = await getCacheKey(stream);
+    stream.cacheKey = key;
+
+    // Being transcoded, maybe for another stream playing the same video (the key is taken before anything
+    // gets awaited so that two streams can't both start writing to the same directory)
+    if (global.transcodes.has(key)) return;
+    if (startingTranscodes.has(key)) return await startingTranscodes.get(key);
+
+    const starting = startTranscode(stream, key).finally(() => startingTranscodes.delete(key));
+    startingTranscodes.set(key, starting);
+    await starting;
+}
+
+// Start ffmpeg for a transcode unless its output is already complete
+async function startTranscode(stream, key) {
+    const outputDirectory = join(cacheDirectory, key);
+
+    // Already transcoded
+    if (await exists(join(outputDirectory, ".complete"))) return;
+
+    // Leftovers of a transcode that didn't finish
+    await rm(outputDirectory, { recursive: true, force: true });
+    await mkdir(outputDirectory, { recursive: true });
+
+    const logger = log.child({ stream: stream.id, transcode: key });
+    const ffmpeg = Bun.spawn({
+        cmd: [ffmpegBinary, "-loglevel", "level+warning", "-nostats", "-progress", "pipe:1", ...getHlsArgs(stream, outputDirectory, false)],
+        stdout: "pipe",
+        stderr: "pipe",
+    });
+
+    const output = logFfmpegOutput(ffmpeg, logger);
+    global.transcodes.set(key, ffmpeg);
+
+    // Every stream playing this video gets the progress of the transcode
+    const publishToViewers = (message) => {
+        for (const [id, other] of global.streams) {
+            if (other.cacheKey == key) publish(id, { ...message, stream: id });
+        }
+    };
+    readFfmpegProgress(ffmpeg, progress => publishToViewers(getProgressInfo(stream.id, "transcode", progress, 0, stream.duration)));
+
+    ffmpeg.exited.then(async () => {
+        global.transcodes.delete(key);
+        metrics.ffmpegExits.inc({ job: "transcode", code: ffmpeg.exitCode ?? ffmpeg.signalCode });
+        runQueuedJobs();
+
+        if (ffmpeg.exitCode !== 0) {
+            await output;
+            const failure = getFfmpegFailure(ffmpeg);
+
+            logger.error("Transcode failed", { code: ffmpeg.exitCode, signal: ffmpeg.signalCode, reason: failure.reason });
+            publishToViewers({ success: false, type: "error", job: "transcode", ...failure });
+            await rm(outputDirectory, { recursive: true, force: true });
+            return;
+        }
+
+        await Bun.write(join(outputDirectory, ".complete"), `${Date.now()}`);
+        logger.info("Transcode finished");
+    }).catch(error => {
+        logger.error("Failed to finish the transcode", error);
+    });
+}
+
+// Delete the transcoded outputs that no stream has used in a while
+async function cleanupCache(maxAge) {
+    if (!await exists(cacheDirectory)) return;
+
+    const used = new Set();
+    for (const [id, stream] of global.streams) {
+        if (stream.cacheKey) used.add(stream.cacheKey);
+    }
+
+    const now = new Date();
+    for (const key of await readdir(cacheDirectory)) {
+        const path = join(cacheDirectory, key);
+
+        // Keep track of when it was last used with the directory's modification time
+        if (used.has(key) || global.transcodes.has(key) || startingTranscodes.has(key)) {
+            await utimes(path, now, now);
+            continue;
+        }
+
+        if (now - (await stat(path)).mtimeMs > maxAge) {
+            await rm(path, { recursive: true, force: true });
+            log.info("Deleted unused transcode", { transcode: key });
+        }
+    }
+}
+
+async function startStream(stream) {
+    // VOD streams don't need their own ffmpeg, their position is just a cursor over the transcoded playlist
+    if (stream.mode == "vod") return await transcodeStream(stream);
+
+    const { id, directory } = stream;
+
+    await mkdir(directory, { recursive: true, force: true });
+
+    const logger = log.child({ stream: id });
+    const ffmpeg = Bun.spawn({
+        cmd: [ffmpegBinary, "-loglevel", "level+warning", "-nostats", "-progress", "pipe:1", ...getHlsArgs(stream, directory, true)],
+        stdout: "pipe",
+        stderr: "pipe",
+    });
+
+    const output = logFfmpegOutput(ffmpeg, logger);
+    const startPosition = stream.position || 0;
+    readFfmpegProgress(ffmpeg, progress => publish(id, getProgressInfo(id, "live", progress, startPosition, stream.duration)));
+
+    ffmpeg.exited.then(async () => {
+        metrics.ffmpegExits.inc({ job: "live", code: ffmpeg.exitCode ?? ffmpeg.signalCode });
+
+        // The process got suspended on purpose (pause, seek...), so keep the stream
+        if (global.ffmpegProcesses.get(id) !== ffmpeg) return runQueuedJobs();
+
+        const code = ffmpeg.exitCode;
+        const signal = ffmpeg.signalCode;
+
+        // Tell the viewers what happened right away instead of only ending the stream later
+        if (code !== 0) {
+            await output;
+            const failure = getFfmpegFailure(ffmpeg);
+
+            logger.error("ffmpeg exited with an error", { code, signal, reason: failure.reason });
+            publish(id, { success: false, type: "error", stream: id, job: "live", ...failure });
+        }
+
+        // Move on to the next video of the queue if there's one
+        if (code === 0 && global.streams.get(id)?.queue?.length > 0)
+            return await advanceQueue(global.streams.get(id));
+
+        runQueuedJobs(); // Its slot is free now
 
         // 10s delay to let users finish the stream
         await new Promise(resolve => setTimeout(resolve, 10000));
 
-        await rmdir(directory, { recursive: true, force: true });
-        global.streams.delete(id);
+        // Unless the host restarted or paused it in the meantime
+        if (global.ffmpegProcesses.get(id) !== ffmpeg) return;
+
         global.ffmpegProcesses.delete(id);
+        await killStream(id, directory, code === 0 ? "finished" : "failed");
     }).catch(async (error) => {
-        log.error(`[ffmpeg ${id} error]:`, error);
+        if (global.ffmpegProcesses.get(id) !== ffmpeg) return;
+
+        logger.error("ffmpeg failed", error);
+        publish(id, { success: false, type: "error", stream: id, job: "live", reason: "failed", message: "The encoder couldn't be started!" });
 
-        await rmdir(directory, { recursive: true, force: true });
-        global.streams.delete(id);
         global.ffmpegProcesses.delete(id);
+        await killStream(id, directory, "failed");
     });
 
     global.ffmpegProcesses.set(id, ffmpeg);
 }
 
-async function killStream(id, streamPath = null) {
-    // Try to kill ffmpeg and delete it from the ffmpegProcesses
-    if (global.ffmpegProcesses.has(id)) {
-        const ffmpeg = global.ffmpegProcesses.get(id)
+// Restart ffmpeg from another position (or the current one) without ending the stream,
+// the new process takes the slot of the previous one instead of waiting in the queue
+async function restartStream(stream, position = getPlaybackPosition(stream)) {
+    restartingStreams.add(stream.id);
+    try {
+        await suspendStream(stream.id);
+        stream.position = position;
+        await startStream(stream);
+        stream.resumedAt = Date.now();
+    } finally {
+        restartingStreams.delete(stream.id);
+    }
+}
+
+// Start ffmpeg for a stream and let its viewers know that it's playing
+async function playStream(stream) {
+    await startStream(stream);
+
+    stream.state = "started";
+    stream.resumedAt = Date.now();
+    stream.keepAlive = Date.now();
+    global.streams.set(stream.id, stream);
+
+    publish(stream.id, { success: true, type: "playback", ...getPlaybackState(stream) });
+}
+
+// Count the ffmpeg processes that are running (or about to be replaced)
+function countFfmpegProcesses() {
+    let running = global.transcodes.size + restartingStreams.size + reservedSlots;
+    for (const [id, ffmpeg] of global.ffmpegProcesses) {
+        // Finished processes stay there for a bit to let the viewers catch up
+        if (ffmpeg.exitCode === null && ffmpeg.signalCode === null) running++;
+    }
+    return running;
+}
+
+// Get how busy the server is
+function getLoad() {
+    return {
+        processes: countFfmpegProcesses(),
+        maxProcesses: maxFfmpegProcesses,
+        queued: global.jobQueue.length
+    };
+}
+
+// Check if starting a stream needs a new ffmpeg process (VOD streams that are already transcoded don't)
+async function needsFfmpeg(stream) {
+    if (stream.mode != "vod") return true;
+
+    const key = await getCacheKey(stream);
+    return !global.transcodes.has(key) && !startingTranscodes.has(key) && !await exists(join(cacheDirectory, key, ".complete"));
+}
+
+// Add a job to the queue (or make a queued transcode start playing once it runs) and let everyone know where they are in it
+function queueJob(id, type) {
+    const queued = global.jobQueue.find(job => job.id == id);
+    if (queued) {
+        if (type == "play") queued.type = type;
+    } else global.jobQueue.push({ id, type, queuedAt: Date.now() });
+
+    publishJobPositions();
+    return global.jobQueue.findIndex(job => job.id == id) + 1;
+}
+
+// Tell the viewers of every queued stream (including its host) their position in the queue
+function publishJobPositions() {
+    global.jobQueue.forEach((job, index) => publish(job.id, { success: true, type: "waiting", stream: job.id, job: job.type, position: index + 1 }));
+}
 
-        ffmpeg.kill("SIGKILL");
+// Take a free ffmpeg slot if there's one and nothing is waiting for it (checked and taken before anything
+// gets awaited), it's given back with releaseSlot once the process is registered or failed to start
+function reserveSlot() {
+    if (global.jobQueue.length > 0 || countFfmpegProcesses() >= maxFfmpegProcesses) return false;
+    reservedSlots++;
+    return true;
+}
+
+function releaseSlot() {
+    reservedSlots--;
+
+    // A job might have been queued because of the reservation while no process actually got started
+    if (global.jobQueue.length > 0) runQueuedJobs();
+}
+
+// Start (or resume) a stream right away if there's a free ffmpeg slot, otherwise queue it until there is one
+// Returns the stream's position in the queue, or 0 if it started
+async function scheduleStream(stream) {
+    const reserved = reserveSlot();
+    try {
+        if (reserved || !await needsFfmpeg(stream)) {
+            await playStream(stream);
+            return 0;
+        }
+    } finally {
+        if (reserved) releaseSlot();
+    }
+    return queueJob(stream.id, "play");
+}
+
+// Transcode a VOD stream right away if there's a free ffmpeg slot, otherwise queue it until there is one
+async function scheduleTranscode(stream) {
+    const reserved = reserveSlot();
+    try {
+        if (reserved || !await needsFfmpeg(stream)) return await transcodeStream(stream);
+    } finally {
+        if (reserved) releaseSlot();
+    }
+    queueJob(stream.id, "transcode");
+}
+
+// Run the queued jobs for as long as there are free ffmpeg slots
+let runningJobs = false;
+async function runQueuedJobs() {
+    if (runningJobs) return;
+    runningJobs = true;
+
+    try {
+        let started = false;
+        while (global.jobQueue.length > 0 && countFfmpegProcesses() < maxFfmpegProcesses) {
+            const job = global.jobQueue.shift();
+            const stream = global.streams.get(job.id);
+            if (!stream) continue; // Stopped while it was waiting
+
+            // The job isn't in the queue anymore, so its slot has to be taken until its ffmpeg is registered
+            reservedSlots++;
+            try {
+                if (job.type == "play") await playStream(stream);
+                else {
+                    await transcodeStream(stream);
+                    global.streams.set(stream.id, stream);
+                }
+            } finally {
+                releaseSlot();
+            }
+            started = true;
+        }
+
+        // Everyone else moved up
+        if (started) publishJobPositions();
+    } catch (error) {
+        log.error("Failed to run the queued jobs", error);
+    } finally {
+        runningJobs = false;
+    }
+}
+
+// Get the current video and the queue of a stream as they're shown to the viewers
+function getQueueInfo(stream) {
+    const getItemInfo = (item) => ({
+        id: item.id,
+        duration: item.duration,
+        tracks: { audio: item.audio || [], subtitles: item.subtitles || [] }
+    });
+
+    return {
+        stream: stream.id,
+        current: getItemInfo({ ...stream, id: stream.item || stream.id }),
+        queue: (stream.queue || []).map(getItemInfo)
+    };
+}
+
+// Move another stream (uploaded by the same host) to the end of a stream's queue
+async function addToQueue(stream, source) {
+    // The source can't be played on its own anymore
+    await suspendStream(source.id);
+    await resetStreamOutput(source);
+
+    const directory = join(stream.directory, "queue", source.id);
+    await mkdir(join(stream.directory, "queue"), { recursive: true });
+    await rename(source.directory, directory);
+    global.streams.delete(source.id);
+
+    // Its viewers are told the same way as when a stream ends, it's now watched in the other one
+    endViewers(source.id, "queued");
+
+    const item = {
+        id: source.id,
+        directory,
+        video: join(directory, basename(source.video)),
+        duration: source.duration,
+        size: source.size,
+        width: source.width,
+        height: source.height,
+        fps: source.fps,
+        hash: source.hash || null, // If it's been transcoded before
+        audio: source.audio,
+        subtitles: source.subtitles,
+        previews: source.previews || false
+    };
+
+    stream.queue = [...(stream.queue || []), item];
+    global.streams.set(stream.id, stream);
+
+    return item;
+}
+
+// Replace the current video of a stream with the first one of its queue
+async function advanceQueue(stream) {
+    const item = stream.queue.shift();
+    const playing = stream.state == "started";
+
+    // Keep the slot of the current video's ffmpeg for the next one
+    if (playing) restartingStreams.add(stream.id);
+    let tracksChanged;
+    try {
+        tracksChanged = await advanceVideo(stream, item, playing);
+    } finally {
+        restartingStreams.delete(stream.id);
+    }
+
+    stream.keepAlive = Date.now();
+    global.streams.set(stream.id, stream);
+
+    publish(stream.id, { success: true, type: "queue", ...getQueueInfo(stream) });
+    // The master playlist lists the renditions, so players have to reload it if they changed
+    if (tracksChanged) publish(stream.id, { success: true, type: "tracks", stream: stream.id, tracks: { audio: stream.audio, subtitles: stream.subtitles } });
+    publish(stream.id, { success: true, type: "playback", ...getPlaybackState(stream) });
+}
+
+// Swap the files of a stream's current video with the ones of a queued video (and keep playing if it was),
+// returns whether its renditions, audio or subtitle tracks changed
+async function advanceVideo(stream, item, playing) {
+    await suspendStream(stream.id);
+    const previousVariants = getVariantNames(stream);
+
+    // Delete the files of the current video and move the ones of the next video in their place
+    await rm(stream.video, { force: true });
+    await rm(join(stream.directory, "subtitles"), { recursive: true, force: true });
+    for (const file of Object.values(previewFiles))
+        await rm(join(stream.directory, file), { force: true });
+
+    for (const entry of await readdir(item.directory))
+        await rename(join(item.directory, entry), join(stream.directory, entry));
+    await rm(item.directory, { recursive: true, force: true });
+
+    // The renditions depend on the next video's resolution and framerate (encoded with the stream's profile)
+    const { bitrateFactor } = getProfile(stream.profile);
+    const renditions = await getRenditions(item.width, item.height, item.fps, bitrateFactor);
+
+    const tracksChanged = JSON.stringify([stream.renditions, stream.audio, stream.subtitles]) != JSON.stringify([renditions, item.audio, item.subtitles]);
+    stream.item = item.id;
+    stream.video = join(stream.directory, basename(item.video));
+    stream.duration = item.duration;
+    stream.size = item.size;
+    stream.width = item.width;
+    stream.height = item.height;
+    stream.fps = item.fps;
+    stream.bitrate = scaleBitrate(await getBestBitrate(item.width, item.height, item.fps), bitrateFactor);
+    stream.renditions = renditions;
+    stream.audio = item.audio;
+    stream.subtitles = item.subtitles;
+    stream.previews = item.previews;
+    stream.position = 0;
+
+    // The output of the renditions and tracks the next video doesn't have
+    for (const name of previousVariants.filter(name => !getVariantNames(stream).includes(name)))
+        await rm(join(stream.directory, name), { recursive: true, force: true });
+
+    // VOD streams get the transcode of the new video, not the previous one's
+    stream.hash = item.hash || null;
+    stream.cacheKey = null;
+
+    // Keep playing, ffmpeg adds an EXT-X-DISCONTINUITY where the new video starts
+    if (playing) {
+        await startStream(stream);
+        stream.resumedAt = Date.now();
+    } else if (stream.mode == "vod") {
+        // Transcoded ahead of time like any new VOD stream
+        await scheduleTranscode(stream);
+    }
+
+    return tracksChanged;
+}
+
+async function suspendStream(id) {
+    if (!global.ffmpegProcesses.has(id)) return;
+
+    // Remove ffmpeg from the ffmpegProcesses first so that the exit
+    // handler doesn't delete the stream, then wait for it to be gone
+    const ffmpeg = global.ffmpegProcesses.get(id);
+    global.ffmpegProcesses.delete(id);
+
+    ffmpeg.kill("SIGKILL");
+    await ffmpeg.exited;
+}
+
+// Delete the HLS output of a stream (but keep its video)
+async function resetStreamOutput(stream) {
+    await rm(join(stream.directory, "master.m3u8"), { force: true });
+    for (const name of getVariantNames(stream))
+        await rm(join(stream.directory, name), { recursive: true, force: true });
+}
+
+// Reload the streams saved before the server went down and
+// delete everything in the streams directory that isn't needed anymore
+async function restoreStreams(streamsDirectory) {
+    for (const { stream, updated } of global.streams.load()) {
+        if (!await exists(stream.video)) {
+            global.streams.delete(stream.id);
+            continue;
+        }
+
+        const queue = [];
+        for (const item of stream.queue || []) {
+            if (await exists(item.video)) queue.push(item);
+        }
+        stream.queue = queue;
+
+        // Streams that were playing get paused where they were when the server went down,
+        // so that their host can resume them
+        if (stream.state == "started") {
+            const elapsed = stream.resumedAt ? (updated - stream.resumedAt) / 1000 : 0;
+            stream.position = Math.min((stream.position || 0) + elapsed, stream.duration || Infinity);
+            stream.state = "paused";
+        }
+        delete stream.resumedAt;
+
+        // Give the host some time to come back
+        stream.keepAlive = Date.now();
+        getAccessSecret(stream);
+
+        await resetStreamOutput(stream);
+        global.streams.set(stream.id, stream);
+    }
+
+    // Partial uploads and leftovers from deleted streams
+    for (const entry of await readdir(streamsDirectory)) {
+        if (!global.streams.has(entry)) await rm(join(streamsDirectory, entry), { recursive: true, force: true });
+    }
+
+    return global.streams.size;
+}
+
+// Ask ffmpeg to stop and finish writing its output, and kill it if it takes too long
+async function terminateFfmpeg(ffmpeg, timeout = 5000) {
+    ffmpeg.kill("SIGTERM");
+
+    const exited = await Promise.race([
+        ffmpeg.exited.then(() => true),
+        new Promise(resolve => setTimeout(() => resolve(false), timeout))
+    ]);
+    if (!exited) ffmpeg.kill("SIGKILL");
+}
+
+// Let the viewers of a stream know why it ended and close their connections
+function endViewers(id, reason) {
+    publish(id, { success: true, type: "ended", stream: id, reason });
+    for (const [ws, client] of global.websocketClients) {
+        if (client.stream == id) ws.close();
+    }
+}
+
+async function killStream(id, streamPath = null, reason = "stopped") {
+    // Try to stop ffmpeg and delete it from the ffmpegProcesses (first
+    // so that its exit handler doesn't try to end the stream too)
+    if (global.ffmpegProcesses.has(id)) {
+        const ffmpeg = global.ffmpegProcesses.get(id);
         global.ffmpegProcesses.delete(id);
+
+        await terminateFfmpeg(ffmpeg);
+    }
+
+    // Don't start it later if it was waiting for a slot
+    const queuedJob = global.jobQueue.findIndex(job => job.id == id);
+    if (queuedJob != -1) {
+        global.jobQueue.splice(queuedJob, 1);
+        publishJobPositions();
     }
 
     // If streamPath is not supplied, try to get the path from the streams object
@@ -286,19 +1366,50 @@ async function killStream(id, streamPath = null) {
         streamPath = stream.directory;
     }
 
+    log.info("Stream ended", { stream: id, reason });
+    endViewers(id, reason);
+
     // Try to delete the stream's directory and also from the streams object
-    if (exists(streamPath)) await rmdir(streamPath, { recursive: true, force: true });
+    if (streamPath && await exists(streamPath)) await rm(streamPath, { recursive: true, force: true });
     if (global.streams.has(id)) global.streams.delete(id);
 }
 
 export {
     log,
+    publish,
+    getBearerToken,
     getClientIP,
+    getDirectorySize,
+    normalizeIP,
     generateRandomString,
     getVideoMetadata,
+    sanitizeVideo,
     getBestQuality,
     getBestFramerate,
     getBestBitrate,
+    getRenditions,
+    scaleBitrate,
+    getTracks,
+    getVariantNames,
+    getExternalSubtitlesPath,
+    convertSubtitles,
+    generatePreviews,
+    getPlaybackPosition,
+    getPlaybackState,
+    getStreamInfo,
+    getOutputDirectory,
+    hashFile,
+    transcodeStream,
+    cleanupCache,
     startStream,
+    restartStream,
+    getLoad,
+    scheduleStream,
+    scheduleTranscode,
+    suspendStream,
+    getQueueInfo,
+    addToQueue,
+    advanceQueue,
+    restoreStreams,
     killStream
 }
\ No newline at end of file
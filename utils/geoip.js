@@ -0,0 +1,116 @@
+import { existsSync } from "node:fs";
+import { join } from "node:path";
+
+import { openDatabase } from "./mmdb";
+import { parseIP } from "./security";
+import { log } from "./logger";
+
+// Where the viewers' countries come from: a local MaxMind DB file (GeoLite2-Country, DB-IP, ipinfo...),
+// ipinfo.io or ipapi.co (which get every viewer's IP), or nowhere. Without a choice, it's the database if
+// there's one, then ipinfo.io if there's a token for it (as before the database existed)
+const databasePath = process.env.GEOIP_DATABASE_PATH || join(__dirname, "..", "data", "GeoLite2-Country.mmdb");
+const providerName = ["mmdb", "ipinfo", "ipapi", "none"].includes(process.env.GEOIP_PROVIDER)
+    ? process.env.GEOIP_PROVIDER
+    : existsSync(databasePath) ? "mmdb" : process.env.IPINFO_TOKEN ? "ipinfo" : "none";
+
+const lookupTimeout = 2000; // In milliseconds, for ipinfo.io and ipapi.co
+const cacheTTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const maxCacheSize = 10000;
+
+// Addresses that aren't on the internet (private networks, loopback, link-local...) don't have a country
+const privateRanges = [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.168.0.0", 16],
+    ["::", 128],
+    ["::1", 128],
+    ["fc00::", 7],
+    ["fe80::", 10]
+].map(([ip, bits]) => ({ bytes: parseIP(ip), bits }));
+
+// Check if an address (as bytes) is in one of the private ranges
+function isPrivateIP(bytes) {
+    return privateRanges.some(range => {
+        if (range.bytes.length != bytes.length) return false;
+        for (let i = 0; i < range.bits; i++) {
+            const mask = 1 << (7 - (i & 7));
+            if ((range.bytes[i >> 3] & mask) != (bytes[i >> 3] & mask)) return false;
+        }
+        return true;
+    });
+}
+
+// Get the JSON returned by an external provider, giving up after lookupTimeout
+async function fetchJSON(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(lookupTimeout) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+}
+
+// Each provider gets an IP address and returns its country code
+const providers = {
+    mmdb: () => {
+        const database = openDatabase(databasePath);
+        log.info("Loaded the GeoIP database", { path: databasePath, type: database.metadata.database_type });
+
+        return async (ip) => {
+            const record = database.lookup(ip);
+            return record?.country?.iso_code || record?.country_code || record?.registered_country?.iso_code;
+        };
+    },
+    ipinfo: () => async (ip) => (await fetchJSON(`https://api.ipinfo.io/lite/${ip}?token=${process.env.IPINFO_TOKEN}`))?.country_code,
+    ipapi: () => async (ip) => (await fetchJSON(`https://ipapi.co/${ip}/json/`))?.country_code,
+    none: () => async () => null
+};
+
+// Lookups are turned off if the provider can't be set up (e.g. an invalid database)
+let resolveCountry;
+try {
+    resolveCountry = providers[providerName]();
+} catch (error) {
+    log.error("Failed to set up the GeoIP lookups, countries won't be shown", { provider: providerName, path: databasePath, error: error.message });
+    resolveCountry = providers.none();
+}
+
+const cache = new Map(); // IP -> { country, expires }
+
+// Get the country code of an IP address (e.g. "FR"), or null if it's unknown
+async function getCountry(ip) {
+    let bytes = ip ? parseIP(ip) : null;
+    if (!bytes) return null;
+
+    // IPv4 addresses mapped to IPv6 ones (::ffff:1.2.3.4) are looked up as IPv4 ones
+    if (bytes.length == 16 && bytes.subarray(0, 10).every(byte => byte == 0) && bytes[10] == 0xff && bytes[11] == 0xff) {
+        bytes = bytes.subarray(12);
+        ip = bytes.join(".");
+    }
+    if (isPrivateIP(bytes)) return null;
+
+    const cached = cache.get(ip);
+    if (cached && cached.expires > Date.now()) return cached.country;
+
+    let country;
+    try {
+        country = await resolveCountry(ip);
+    } catch (error) {
+        // Not cached so that it's tried again next time
+        log.warn("Failed to get the country of an IP", { provider: providerName, error: error.message });
+        return null;
+    }
+    country = typeof country == "string" && /^[A-Z]{2}$/i.test(country) ? country.toUpperCase() : null;
+
+    // Forget the oldest lookups once there are too many
+    cache.delete(ip);
+    if (cache.size >= maxCacheSize) cache.delete(cache.keys().next().value);
+    cache.set(ip, { country, expires: Date.now() + cacheTTL });
+
+    return country;
+}
+
+export {
+    getCountry
+}
\ No newline at end of file
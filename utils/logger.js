@@ -0,0 +1,63 @@
+// Log levels from the most to the least verbose
+const levels = ["trace", "debug", "info", "warn", "error", "fatal"];
+
+// Only log what's at least as severe as LOG_LEVEL, either as "[LEVEL] message key=value" lines or as JSON lines
+const minimumLevel = levels.includes(process.env.LOG_LEVEL) ? levels.indexOf(process.env.LOG_LEVEL) : levels.indexOf("info");
+const jsonFormat = process.env.LOG_FORMAT == "json";
+
+const consoleMethods = {
+    trace: console.debug,
+    debug: console.debug,
+    info: console.info,
+    warn: console.warn,
+    error: console.error,
+    fatal: console.error
+};
+
+// Write a field's value so that it stays on a single line and can't be mistaken for another field
+function formatValue(value) {
+    if (typeof value != "string") return JSON.stringify(value);
+    return /[\s"=]/.test(value) || value == "" ? JSON.stringify(value) : value;
+}
+
+// Create a logger adding some context (stream ID, client IP, route...) to everything it logs
+function createLogger(context = {}) {
+    const write = (level, message, details) => {
+        if (levels.indexOf(level) < minimumLevel) return;
+
+        // Details can be fields or, like before, an error or a string to add after the message
+        const fields = details instanceof Error ? { error: details.stack || details.message }
+            : typeof details == "object" && details !== null ? details
+            : details !== undefined && details !== "" ? { error: `${details}` }
+            : {};
+        const { error, ...rest } = { ...context, ...fields };
+
+        if (jsonFormat) {
+            consoleMethods[level](JSON.stringify({ time: new Date().toISOString(), level, message: `${message}`, ...rest, ...(error !== undefined ? { error } : {}) }));
+            return;
+        }
+
+        // Errors (and their stack traces) stay at the end, as they are
+        const pairs = Object.entries(rest).filter(([, value]) => value !== undefined).map(([key, value]) => `${key}=${formatValue(value)}`);
+        consoleMethods[level](`[${level.toUpperCase()}] ${message}${pairs.length > 0 ? ` ${pairs.join(" ")}` : ""}${error !== undefined ? ` ${error}` : ""}`);
+    };
+
+    return {
+        fatal: async (message, details) => write("fatal", message, details),
+        error: async (message, details) => write("error", message, details),
+        warn: async (message, details) => write("warn", message, details),
+        info: async (message, details) => write("info", message, details),
+        debug: async (message, details) => write("debug", message, details),
+        trace: async (message, details) => write("trace", message, details),
+
+        // Get a logger with more context, e.g. log.child({ stream: id })
+        child: (fields) => createLogger({ ...context, ...fields })
+    };
+}
+
+// The logger without any context
+const log = createLogger();
+
+export {
+    log
+}
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Every metric that gets exposed, in the order they're rendered
+const registry = [];
+
+// Turn labels into the {name="value"} part of a sample
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length == 0) return "";
+
+    const escape = (value) => `${value}`.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(",")}}`;
+}
+
+// Create a metric holding one value per set of labels
+function createMetric(name, type, help) {
+    const values = new Map(); // Formatted labels -> value
+    const metric = {
+        name, type, help, values,
+
+        // Add to a value (counters can only go up)
+        inc: (labels = {}, value = 1) => {
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + value);
+        },
+
+        // Replace a value (only for gauges)
+        set: (labels = {}, value) => values.set(formatLabels(labels), value),
+
+        // Forget every value, so that gauges don't keep the labels of things that are gone
+        reset: () => values.clear()
+    };
+
+    registry.push(metric);
+    return metric;
+}
+
+const metrics = {
+    uploads: createMetric("vidstream_uploads_total", "counter", "Uploads that turned into a stream"),
+    uploadBytes: createMetric("vidstream_upload_bytes_total", "counter", "Bytes received from uploads"),
+    rejectedUploads: createMetric("vidstream_uploads_rejected_total", "counter", "Uploads rejected, by reason"),
+    segmentRequests: createMetric("vidstream_segment_requests_total", "counter", "Playlists, segments and previews served, by file type"),
+    segmentBytes: createMetric("vidstream_segment_bytes_total", "counter", "Bytes sent for playlists, segments and previews"),
+    ffmpegExits: createMetric("vidstream_ffmpeg_exits_total", "counter", "ffmpeg processes that exited, by job and exit code (or signal)"),
+
+    streams: createMetric("vidstream_streams", "gauge", "Streams, by state"),
+    ffmpegProcesses: createMetric("vidstream_ffmpeg_processes", "gauge", "Running ffmpeg processes"),
+    queuedJobs: createMetric("vidstream_jobs_queued", "gauge", "Streams and transcodes waiting for an ffmpeg process"),
+    websocketClients: createMetric("vidstream_websocket_clients", "gauge", "Clients watching a stream through the websocket"),
+    encodeSpeed: createMetric("vidstream_ffmpeg_speed", "gauge", "Encoding speed of each ffmpeg process, relative to real time")
+};
+
+// Render every metric in the Prometheus text format
+function renderMetrics() {
+    const lines = [];
+    for (const { name, type, help, values } of registry) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of values) lines.push(`${name}${labels} ${value}`);
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+export {
+    metrics,
+    renderMetrics
+}
\ No newline at end of file
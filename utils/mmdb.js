@@ -0,0 +1,137 @@
+import { readFileSync } from "node:fs";
+
+import { parseIP } from "./security";
+
+// A reader for MaxMind DB files (GeoLite2, DB-IP, ipinfo...), see https://maxmind.github.io/MaxMind-DB/
+const metadataMarker = Buffer.from("\xAB\xCD\xEFMaxMind.com", "latin1");
+const dataSectionSeparator = 16; // Bytes of zeros between the search tree and the data section
+
+// Decode the value at an offset of the data section, returns it along with the offset right after it
+function decode(buffer, base, offset) {
+    const control = buffer[offset++];
+    let type = control >> 5;
+
+    // Pointers point to another value of the data section
+    if (type == 1) {
+        const size = (control >> 3) & 0x3;
+        const value = control & 0x7;
+        let pointer;
+        if (size == 0) pointer = (value << 8) | buffer[offset];
+        else if (size == 1) pointer = ((value << 16) | buffer.readUInt16BE(offset)) + 2048;
+        else if (size == 2) pointer = ((value << 24) | buffer.readUIntBE(offset, 3)) + 526336;
+        else pointer = buffer.readUInt32BE(offset);
+
+        return { value: decode(buffer, base, base + pointer).value, offset: offset + size + 1 };
+    }
+
+    // Extended types
+    if (type == 0) type = 7 + buffer[offset++];
+
+    let size = control & 0x1f;
+    if (size == 29) size = 29 + buffer[offset++];
+    else if (size == 30) { size = 285 + buffer.readUInt16BE(offset); offset += 2; }
+    else if (size == 31) { size = 65821 + buffer.readUIntBE(offset, 3); offset += 3; }
+
+    switch (type) {
+        case 2: // UTF-8 string
+            return { value: buffer.toString("utf8", offset, offset + size), offset: offset + size };
+        case 3: // Double
+            return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+        case 4: // Bytes
+            return { value: buffer.subarray(offset, offset + size), offset: offset + size };
+        case 5: // Unsigned integers
+        case 6:
+        case 9:
+        case 10: {
+            let value = 0n;
+            for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(buffer[offset + i]);
+            return { value: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value, offset: offset + size };
+        }
+        case 7: { // Map
+            const map = {};
+            for (let i = 0; i < size; i++) {
+                const key = decode(buffer, base, offset);
+                const value = decode(buffer, base, key.offset);
+                map[key.value] = value.value;
+                offset = value.offset;
+            }
+            return { value: map, offset };
+        }
+        case 8: // Signed 32 bits integer (only negative ones use all 4 bytes)
+            return { value: size == 4 ? buffer.readInt32BE(offset) : size > 0 ? buffer.readUIntBE(offset, size) : 0, offset: offset + size };
+        case 11: { // Array
+            const array = [];
+            for (let i = 0; i < size; i++) {
+                const value = decode(buffer, base, offset);
+                array.push(value.value);
+                offset = value.offset;
+            }
+            return { value: array, offset };
+        }
+        case 14: // Boolean (its size is its value)
+            return { value: size != 0, offset };
+        case 15: // Float
+            return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+        default:
+            throw new Error(`Unsupported MaxMind DB data type ${type}`);
+    }
+}
+
+// Open a .mmdb file, which is entirely read in memory
+function openDatabase(path) {
+    const buffer = readFileSync(path);
+
+    const markerOffset = buffer.lastIndexOf(metadataMarker);
+    if (markerOffset == -1) throw new Error("Not a MaxMind DB file");
+
+    const metadata = decode(buffer, 0, markerOffset + metadataMarker.length).value;
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = metadata;
+    if (![24, 28, 32].includes(recordSize)) throw new Error(`Unsupported record size ${recordSize}`);
+
+    const nodeSize = recordSize / 4; // Two records per node
+    const treeSize = nodeCount * nodeSize;
+    const dataSection = treeSize + dataSectionSeparator;
+
+    // Read the left (0) or right (1) record of a node
+    const readRecord = (node, bit) => {
+        const offset = node * nodeSize;
+        if (recordSize == 24) return buffer.readUIntBE(offset + bit * 3, 3);
+        if (recordSize == 32) return buffer.readUInt32BE(offset + bit * 4);
+
+        // 28 bits records share the middle byte
+        const middle = buffer[offset + 3];
+        return bit == 0
+            ? ((middle & 0xf0) << 20) | buffer.readUIntBE(offset, 3)
+            : ((middle & 0x0f) << 24) | buffer.readUIntBE(offset + 4, 3);
+    };
+
+    // IPv4 addresses are under ::/96 in IPv6 databases, so skip the first 96 bits once and for all
+    let ipv4Start = 0;
+    if (ipVersion == 6) {
+        for (let i = 0; i < 96 && ipv4Start < nodeCount; i++) ipv4Start = readRecord(ipv4Start, 0);
+    }
+
+    return {
+        metadata,
+
+        // Get the record of an IP address, or null if it isn't in the database
+        lookup: (ip) => {
+            const bytes = parseIP(ip);
+            if (!bytes) return null;
+            if (bytes.length == 16 && ipVersion == 4) return null;
+
+            let node = bytes.length == 4 ? ipv4Start : 0;
+            for (let i = 0; i < bytes.length * 8 && node < nodeCount; i++) {
+                node = readRecord(node, (bytes[i >> 3] >> (7 - (i & 7))) & 1);
+            }
+
+            // Equal to the node count means there's no record, above it points to the data section
+            if (node <= nodeCount) return null;
+            return decode(buffer, dataSection, dataSection + node - nodeCount - dataSectionSeparator).value;
+        }
+    };
+}
+
+export {
+    openDatabase
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+
+import { audioCodecs, channelLayouts, videoCodecs } from "./utilities";
+import { log } from "./logger";
+
+// Where the encoding profiles are read from
+const profilesPath = process.env.PROFILES_PATH || join(__dirname, "..", "profiles.json");
+
+// Used without a profiles file, encodes streams the way they always were
+const fallbackProfiles = {
+    default: "h264",
+    profiles: {
+        "h264": { codec: "x264", mode: "bitrate", audio: { codec: "aac", bitrate: "128k" }, segmentLength: 2 }
+    }
+};
+
+// Check a profile from the file and fill in what it doesn't set
+function parseProfile(name, profile) {
+    const codec = videoCodecs[profile.codec];
+    if (!codec) throw new Error(`Unknown codec "${profile.codec}", options: ${Object.keys(videoCodecs).join(", ")}`);
+
+    const mode = profile.mode || (profile.crf !== undefined ? "crf" : "bitrate");
+    if (!["crf", "bitrate"].includes(mode)) throw new Error(`Unknown mode "${mode}", options: crf, bitrate`);
+    if (mode == "crf" && !(Number.isInteger(profile.crf) && profile.crf >= 0 && profile.crf <= 63)) throw new Error("The CRF has to be a whole number from 0 to 63");
+
+    const bitrateFactor = profile.bitrateFactor ?? codec.bitrateFactor;
+    if (!(bitrateFactor > 0)) throw new Error("The bitrate factor has to be a positive number");
+
+    const audio = {
+        codec: profile.audio?.codec || "aac",
+        bitrate: profile.audio?.bitrate || "128k",
+        channels: profile.audio?.channels || null // Same as the source
+    };
+    if (!audioCodecs[audio.codec]) throw new Error(`Unknown audio codec "${audio.codec}", options: ${Object.keys(audioCodecs).join(", ")}`);
+    if (!/^[1-9]\d*k$/.test(audio.bitrate)) throw new Error(`Invalid audio bitrate "${audio.bitrate}", e.g. 128k`);
+    if (audio.channels && !channelLayouts[audio.channels]) throw new Error(`Unknown channel layout "${audio.channels}", options: ${Object.keys(channelLayouts).join(", ")}`);
+
+    const segmentLength = profile.segmentLength ?? 2;
+    if (!(Number.isInteger(segmentLength) && segmentLength >= 1 && segmentLength <= 10)) throw new Error("The segment length has to be a whole number of seconds from 1 to 10");
+
+    return {
+        name,
+        codec: profile.codec,
+        mode,
+        crf: mode == "crf" ? profile.crf : null,
+        preset: profile.preset !== undefined ? `${profile.preset}` : null, // The encoder's default one otherwise
+        bitrateFactor,
+        audio,
+        segmentLength,
+        fmp4: codec.fmp4 || audioCodecs[audio.codec].fmp4 // HEVC, AV1 and Opus can't be in MPEG-TS segments
+    };
+}
+
+// Read the profiles file, skipping (and logging) the profiles that aren't valid
+function loadProfiles() {
+    let config = fallbackProfiles;
+    if (existsSync(profilesPath)) {
+        try {
+            config = JSON.parse(readFileSync(profilesPath, "utf8"));
+        } catch (error) {
+            log.error("Failed to read the encoding profiles, using the default one", { path: profilesPath, error: error.message });
+        }
+    }
+
+    const profiles = {};
+    for (const [name, profile] of Object.entries(config.profiles || {})) {
+        try {
+            profiles[name] = parseProfile(name, profile);
+        } catch (error) {
+            log.error("Ignoring invalid encoding profile", { profile: name, error: error.message });
+        }
+    }
+
+    // Never end up without any profile
+    if (Object.keys(profiles).length == 0) {
+        const name = fallbackProfiles.default;
+        return { profiles: { [name]: parseProfile(name, fallbackProfiles.profiles[name]) }, defaultProfile: name };
+    }
+
+    const defaultProfile = Object.hasOwn(profiles, config.default) ? config.default : Object.keys(profiles)[0];
+    return { profiles, defaultProfile };
+}
+
+const { profiles, defaultProfile } = loadProfiles();
+
+// Get a stream's encoding profile (streams from before profiles existed use the default one)
+function getProfile(name) {
+    return Object.hasOwn(profiles, name) ? profiles[name] : profiles[defaultProfile];
+}
+
+export {
+    profiles,
+    defaultProfile,
+    getProfile
+}
\ No newline at end of file
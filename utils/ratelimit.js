@@ -0,0 +1,43 @@
+// Create token buckets (one per key, usually a client's IP) holding up to `capacity`
+// tokens and refilling `capacity` tokens every `interval` milliseconds
+function createRateLimiter(capacity, interval) {
+    const buckets = new Map();
+    const refillRate = capacity / interval; // Tokens per millisecond
+
+    // Get a key's bucket with the tokens refilled since it was last used
+    const getBucket = (key) => {
+        const now = Date.now();
+        const bucket = buckets.get(key) || { tokens: capacity, updated: now };
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updated) * refillRate);
+        bucket.updated = now;
+        buckets.set(key, bucket);
+
+        return bucket;
+    };
+
+    return {
+        // Take tokens from a key's bucket, returns 0 if there were enough
+        // or the amount of seconds to wait before trying again
+        take: (key, count = 1) => {
+            const bucket = getBucket(key);
+
+            if (bucket.tokens >= count) {
+                bucket.tokens -= count;
+                return 0;
+            }
+            return Math.ceil((count - bucket.tokens) / refillRate / 1000);
+        },
+
+        // Forget the buckets that are full again
+        cleanup: () => {
+            for (const [key] of buckets) {
+                if (getBucket(key).tokens >= capacity) buckets.delete(key);
+            }
+        }
+    };
+}
+
+export {
+    createRateLimiter
+}
\ No newline at end of file
@@ -1,6 +1,60 @@
 export const RegexCheck = {
     // Only allow alphabetical characters (from any alphabet), numbers, spaces and the characters ".-_@" (minimum 3 characters, maximum 20 characters)
     username: async (username) => {
-        return (/^[\p{L}\p{N} .\-@_]{3,20}$/u.test(username));
+        return (typeof username == "string" && /^[\p{L}\p{N} .\-@_]{3,20}$/u.test(username));
+    },
+
+    // Only allow ISO 639 language codes (2 or 3 lowercase letters)
+    language: async (language) => {
+        return (typeof language == "string" && /^[a-z]{2,3}$/.test(language));
+    },
+
+    // Only allow the playlists and segments written by ffmpeg (no path separators or dots outside the extension)
+    segment: async (segment) => {
+        return (typeof segment == "string" && /^[A-Za-z0-9_-]+\.(ts|m4s|mp4|m3u8|vtt)$/.test(segment));
+    },
+
+    // Allow any character in a room password, as long as it's between 4 and 128 characters
+    password: async (password) => {
+        return (typeof password == "string" && /^.{4,128}$/su.test(password));
+    },
+
+    // Only allow a single emoji (with its skin tone, variation selector or as a ZWJ sequence like 👩‍💻, or a flag)
+    emoji: async (emoji) => {
+        return (typeof emoji == "string" && emoji.length <= 32 && /^(\p{Regional_Indicator}{2}|\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?(\u200D\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?)*)$/u.test(emoji));
     }
+}
+
+// Turn an IPv4 or IPv6 address into its bytes (4 or 16), or null if it isn't one
+export function parseIP(ip) {
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+        const bytes = ip.split(".").map(Number);
+        return bytes.every(byte => byte <= 255) ? Buffer.from(bytes) : null;
+    }
+
+    if (!/^[0-9a-f:.]+$/i.test(ip) || !ip.includes(":")) return null;
+
+    // An IPv4 address at the end (e.g. ::ffff:127.0.0.1) counts as the last two groups
+    let groups = ip;
+    const ipv4 = ip.match(/:(\d{1,3}(\.\d{1,3}){3})$/);
+    if (ipv4) {
+        const bytes = parseIP(ipv4[1]);
+        if (!bytes) return null;
+        groups = `${ip.slice(0, -ipv4[1].length)}${bytes.readUInt16BE(0).toString(16)}:${bytes.readUInt16BE(2).toString(16)}`;
+    }
+
+    const halves = groups.split("::");
+    if (halves.length > 2) return null;
+
+    const head = halves[0] ? halves[0].split(":") : [];
+    const tail = halves.length == 2 && halves[1] ? halves[1].split(":") : [];
+    const missing = 8 - head.length - tail.length;
+    if (halves.length == 1 ? missing != 0 : missing < 1) return null;
+
+    const words = [...head, ...Array(halves.length == 2 ? missing : 0).fill("0"), ...tail];
+    if (words.some(word => !/^[0-9a-f]{1,4}$/i.test(word))) return null;
+
+    const bytes = Buffer.alloc(16);
+    words.forEach((word, i) => bytes.writeUInt16BE(parseInt(word, 16), i * 2));
+    return bytes;
 }
\ No newline at end of file
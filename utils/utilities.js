@@ -15,21 +15,91 @@ const Headers = {
     upload: {
         "Access-Control-Allow-Origin": "*",
         "Access-Control-Allow-Methods": "POST, OPTIONS",
-        "Access-Control-Allow-Headers": "*"
+        "Access-Control-Allow-Headers": "*",
+        "Access-Control-Expose-Headers": "Location, Upload-Offset, Upload-Length, Retry-After"
+    },
+    resumableUpload: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "HEAD, PATCH, OPTIONS",
+        "Access-Control-Allow-Headers": "*",
+        "Access-Control-Expose-Headers": "Upload-Offset, Upload-Length",
+
+        "Cache-Control": "no-store"
+    },
+    streams: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, PATCH, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "Authorization, Content-Type",
+
+        "Cache-Control": "no-cache"
+    },
+    invites: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "Authorization, Content-Type",
+
+        "Cache-Control": "no-store"
+    },
+    subtitles: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Authorization, Content-Type"
     },
     segment: {
         "Access-Control-Allow-Origin": "*",
         "Access-Control-Allow-Methods": "GET, OPTIONS"
+    },
+    metrics: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Headers": "Authorization",
+
+        "Cache-Control": "no-store"
+    },
+    admin: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "Authorization, Content-Type",
+
+        "Cache-Control": "no-store"
     }
 }
 
+// Content types of the files that can be served from a stream's directory
+const segmentContentTypes = {
+    ".m3u8": "application/vnd.apple.mpegurl",
+    ".ts": "video/MP2T",
+    ".m4s": "video/iso.segment",
+    ".mp4": "video/mp4",
+    ".vtt": "text/vtt",
+    ".jpg": "image/jpeg"
+};
+
+// Images and tracks generated to preview a stream (poster, thumbnails sprite and its WebVTT track)
+const previewFiles = {
+    poster: "poster.jpg",
+    sprite: "thumbnails.jpg",
+    thumbnails: "thumbnails.vtt"
+};
+
 const supportedFileMimes = [
     "video/mp4",
     "video/webm",
+    "video/matroska",
     "video/x-matroska",
     "video/quicktime"
 ];
 
+// Subtitle codecs that can be converted to WebVTT (image-based ones like PGS can't)
+const textSubtitleCodecs = [
+    "subrip",
+    "ass",
+    "ssa",
+    "webvtt",
+    "mov_text",
+    "text"
+];
+
 const resolutions = {
     "8k": 7680 * 4320,
     "4k": 3840 * 2160,
@@ -38,6 +108,15 @@ const resolutions = {
     "720p": 1280 * 720
 };
 
+// Every rendition that can be part of a stream's adaptive bitrate ladder (from lowest to highest)
+const renditionLadder = [
+    { name: "720p", width: 1280, height: 720 },
+    { name: "1080p", width: 1920, height: 1080 },
+    { name: "1440p", width: 2560, height: 1440 },
+    { name: "4k", width: 3840, height: 2160 },
+    { name: "8k", width: 7680, height: 4320 }
+];
+
 const framerates = {
     "240fps": 240,
     "120fps": 120,
@@ -52,6 +131,29 @@ const encoders = {
     "qsv": "h264_qsv"
 };
 
+// Video codecs an encoding profile can use, with how much bitrate they need compared to H.264
+// for the same quality and if HLS needs fMP4 segments (instead of MPEG-TS) for them
+const videoCodecs = {
+    "x264": { encoder: "libx264", bitrateFactor: 1, fmp4: false, args: [] },
+    "x265": { encoder: "libx265", bitrateFactor: 0.6, fmp4: true, args: ["-tag:v", "hvc1", "-x265-params", "log-level=error:scenecut=0"] }, // hvc1 so that Apple devices play it
+    "svt-av1": { encoder: "libsvtav1", bitrateFactor: 0.5, fmp4: true, preset: "8", args: [] }
+};
+
+const audioCodecs = {
+    "aac": { encoder: "aac", fmp4: false },
+    "ac3": { encoder: "ac3", fmp4: false },
+    "eac3": { encoder: "eac3", fmp4: false },
+    "opus": { encoder: "libopus", fmp4: true }
+};
+
+// Amount of audio channels of each channel layout
+const channelLayouts = {
+    "mono": 1,
+    "stereo": 2,
+    "5.1": 6,
+    "7.1": 8
+};
+
 const encoderPresets = [
     "ultrafast",
     "superfast",
@@ -66,6 +168,41 @@ const encoderPresets = [
 
 const maxResolution = resolutions[process.env.MAX_RESOLUTION] || resolutions["1080p"];
 const maxFramerate = framerates[process.env.MAX_FRAMERATE] || framerates["60fps"];
+const maxFfmpegProcesses = Number(process.env.MAX_FFMPEG_PROCESSES) || 4;
+const maxUploadFfmpegProcesses = Number(process.env.MAX_UPLOAD_FFMPEG_PROCESSES) || 2;
+
+// Origins allowed to fetch the playlists and segments from a browser (everyone by default)
+const corsOrigins = (process.env.CORS_ORIGINS || "*").split(",").map(origin => origin.trim()).filter(origin => origin);
+
+// Only trust the forwarded client IP headers if the server is behind a reverse proxy that sets them
+// (not set at all, it's most likely a server that used to trust them and now sees everyone as the proxy)
+const trustProxy = process.env.TRUST_PROXY == "true";
+const trustProxyUnset = !process.env.TRUST_PROXY;
+
+// What an uploaded video has to look like to be streamed
+const videoLimits = {
+    maxDuration: (Number(process.env.MAX_VIDEO_DURATION) || 180) * 60, // In seconds
+    minWidth: 32,
+    minHeight: 32,
+    maxWidth: 8192,
+    maxHeight: 8192,
+    maxStreams: 32, // Video, audio, subtitles, attachments...
+    requireAudio: process.env.REQUIRE_AUDIO == "true"
+};
+
+// Why an uploaded video got rejected
+const videoRejections = {
+    unreadable: "The file couldn't be read as a video!",
+    no_video: "The file doesn't have any video stream!",
+    unsupported_codec: "The video's codec isn't supported!",
+    too_many_streams: `The file has too many streams (maximum ${videoLimits.maxStreams})!`,
+    resolution_too_small: `The video's resolution is too small (minimum ${videoLimits.minWidth}x${videoLimits.minHeight})!`,
+    resolution_too_large: `The video's resolution is too large (maximum ${videoLimits.maxWidth}x${videoLimits.maxHeight})!`,
+    no_audio: "The video doesn't have any audio stream!",
+    corrupted: "The video is corrupted or truncated!",
+    no_duration: "The video doesn't last any time!",
+    too_long: `The video is too long (maximum ${videoLimits.maxDuration / 60} minutes)!`
+};
 
 const encoderPreset = encoderPresets.includes(process.env.ENCODER_PRESET) ? process.env.ENCODER_PRESET : "veryfast";
 const encoderArgs = process.env.ENCODER != encoders["default"] && process.env.ENCODER in encoders
@@ -74,9 +211,24 @@ const encoderArgs = process.env.ENCODER != encoders["default"] && process.env.EN
 
 export {
     Headers,
+    segmentContentTypes,
+    previewFiles,
     supportedFileMimes,
+    textSubtitleCodecs,
     resolutions,
+    renditionLadder,
     maxResolution,
     maxFramerate,
+    maxFfmpegProcesses,
+    maxUploadFfmpegProcesses,
+    corsOrigins,
+    trustProxy,
+    trustProxyUnset,
+    videoLimits,
+    videoRejections,
+    videoCodecs,
+    audioCodecs,
+    channelLayouts,
+    encoderPreset,
     encoderArgs
 }
\ No newline at end of file